@@ -0,0 +1,99 @@
+/**
+ * Ralph Budget Tracker
+ *
+ * Compares session usage (cost, output tokens, wall-clock time) against
+ * optional limits. Usage from earlier iterations comes in as a baseline from
+ * the session ledger, so thresholds already passed are not warned about again.
+ *
+ * check() returns what changed since the last call:
+ *   { warnings: [{ limit, threshold, used, max }], exceeded: { limit, used, max } | null }
+ */
+
+const LIMITS = {
+  costUsd: { option: 'maxUsd', label: 'cost' },
+  outputTokens: { option: 'maxOutputTokens', label: 'output tokens' },
+  wallClockMs: { option: 'maxWallClockMs', label: 'wall-clock time' },
+};
+
+const DEFAULT_WARN_AT = [0.5, 0.8];
+
+/**
+ * Limits from the `budget` config setting (see config.js); null means no limit.
+ *
+ * @param {object} [config]
+ * @param {number|null} [config.usd] - Max cost in USD
+ * @param {number|null} [config.outputTokens] - Max output tokens
+ * @param {number|null} [config.minutes] - Wall-clock minutes since the session started
+ * @param {number[]} [config.warnAt] - Warning thresholds in percent
+ */
+function budgetFromConfig({ usd = null, outputTokens = null, minutes = null, warnAt = null } = {}) {
+  const positive = (value) => {
+    const number = Number(value);
+    return value !== null && Number.isFinite(number) && number > 0 ? number : null;
+  };
+  const thresholds = warnAt ? warnAt.map(positive).filter(Boolean).map(pct => pct / 100) : [];
+
+  return {
+    maxUsd: positive(usd),
+    maxOutputTokens: positive(outputTokens),
+    maxWallClockMs: positive(minutes) ? minutes * 60000 : null,
+    warnAt: thresholds.length > 0 ? thresholds : DEFAULT_WARN_AT,
+  };
+}
+
+function hasLimits(budget) {
+  return Boolean(budget && Object.values(LIMITS).some(({ option }) => budget[option]));
+}
+
+/**
+ * @param {object} budget - { maxUsd, maxOutputTokens, maxWallClockMs, warnAt }
+ * @param {object} [baseline] - Usage already spent: { costUsd, outputTokens, wallClockMs }
+ */
+function createBudgetTracker(budget, baseline = {}) {
+  const warnAt = [...(budget.warnAt || DEFAULT_WARN_AT)].sort((a, b) => a - b);
+  const passed = {};
+
+  // Thresholds crossed by earlier iterations have already been reported
+  Object.entries(LIMITS).forEach(([key, { option }]) => {
+    const max = budget[option];
+    passed[key] = new Set(max ? warnAt.filter(t => (baseline[key] || 0) >= t * max) : []);
+  });
+
+  let exceeded = null;
+
+  function check(usage) {
+    const warnings = [];
+    if (exceeded) return { warnings, exceeded: null };
+
+    for (const [key, { option }] of Object.entries(LIMITS)) {
+      const max = budget[option];
+      if (!max) continue;
+      const used = usage[key] || 0;
+
+      if (used > max) {
+        exceeded = { limit: key, used, max };
+        return { warnings, exceeded };
+      }
+      warnAt.forEach(threshold => {
+        if (used >= threshold * max && !passed[key].has(threshold)) {
+          passed[key].add(threshold);
+          warnings.push({ limit: key, threshold, used, max });
+        }
+      });
+    }
+    return { warnings, exceeded: null };
+  }
+
+  return {
+    check,
+    isExceeded: () => Boolean(exceeded),
+  };
+}
+
+module.exports = {
+  createBudgetTracker,
+  budgetFromConfig,
+  hasLimits,
+  LIMITS,
+  DEFAULT_WARN_AT,
+};
@@ -0,0 +1,299 @@
+/**
+ * Ralph Formatter Config
+ *
+ * Optional per-project settings in the workspace root, either `.ralphrc.json`
+ * or `ralph.config.js` (module.exports = { ... }). Layers, lowest first:
+ *   defaults -> config file -> RALPH_* environment variables -> CLI flags
+ *
+ * Files are checked against SCHEMA; every problem is reported at once, with
+ * the setting's path, e.g. `budget.usd must be a number > 0 (got "5")`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { THEMES } = require('./terminal');
+const { GUARD_RULES, GUARD_ACTIONS } = require('./guard');
+
+const CONFIG_FILES = ['.ralphrc.json', 'ralph.config.js'];
+
+const THINKING_MODES = ['hide', 'summary', 'full'];
+// nested: subagent activity indented under its Task call; summary: one line when it finishes
+const SUBAGENT_MODES = ['nested', 'summary'];
+// quiet: tool names, errors and stats; normal: also text, tool inputs and results;
+// verbose: untruncated inputs, full result bodies, model and usage details
+const VERBOSITY_LEVELS = ['quiet', 'normal', 'verbose'];
+
+// Validators return a list of problems; `where` is the setting's dotted path
+const got = (value) => ` (got ${JSON.stringify(value)})`;
+
+const check = (test, expected) => (value, where) => (test(value) ? [] : [`${where} must be ${expected}${got(value)}`]);
+
+const integer = (min) => check(value => Number.isInteger(value) && value >= min, `an integer >= ${min}`);
+const positiveNumber = check(value => typeof value === 'number' && value > 0, 'a number > 0');
+const boolean = check(value => typeof value === 'boolean', 'true or false');
+const string = check(value => typeof value === 'string' && value.length > 0, 'a non-empty string');
+const oneOf = (choices) => check(value => choices.includes(value), `one of ${choices.join(', ')}`);
+const nullable = (validator) => (value, where) => (value === null ? [] : validator(value, where));
+
+function regex(value, where) {
+  if (typeof value !== 'string') return [`${where} must be a regular expression string${got(value)}`];
+  try {
+    new RegExp(value);
+    return [];
+  } catch (error) {
+    return [`${where} is not a valid regular expression: ${error.message}`];
+  }
+}
+
+const arrayOf = (item) => (value, where) => {
+  if (!Array.isArray(value)) return [`${where} must be an array${got(value)}`];
+  return value.flatMap((entry, index) => item(entry, `${where}[${index}]`));
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// An object with free-form keys, e.g. tool names
+const mapOf = (item) => (value, where) => {
+  if (!isObject(value)) return [`${where} must be an object${got(value)}`];
+  return Object.entries(value).flatMap(([key, entry]) => item(entry, `${where}.${key}`));
+};
+
+// An object with known keys; anything else is a typo worth reporting
+const shape = (fields) => (value, where) => {
+  if (!isObject(value)) return [`${where || 'config'} must be an object${got(value)}`];
+  return Object.entries(value).flatMap(([key, entry]) => {
+    const name = where ? `${where}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+      return [`${name} is not a known setting (expected one of ${Object.keys(fields).join(', ')})`];
+    }
+    return fields[key](entry, name);
+  });
+};
+
+const SCHEMA = shape({
+  // Truncation limits
+  maxContentLength: integer(1),
+  maxToolInputLength: integer(1),
+  maxDiffLines: integer(1),
+  maxResultLength: integer(1),
+  // What is shown
+  verbosity: oneOf(VERBOSITY_LEVELS),
+  toolVerbosity: mapOf(oneOf(VERBOSITY_LEVELS)),
+  hiddenTools: arrayOf(string),
+  thinking: oneOf(THINKING_MODES),
+  subagents: oneOf(SUBAGENT_MODES),
+  markdown: boolean,
+  // How it looks
+  theme: oneOf(Object.keys(THEMES)),
+  statusBar: boolean,
+  // Masked in the output
+  redactPatterns: arrayOf(regex),
+  // Where records go
+  logs: shape({
+    record: boolean,
+    dir: string,
+    maxMb: positiveNumber,
+    keep: integer(1),
+  }),
+  ledgerDir: string,
+  // Command guard: an action per rule, and where violations are logged
+  guard: shape({
+    rules: shape(Object.fromEntries(Object.keys(GUARD_RULES).map(id => [id, oneOf(GUARD_ACTIONS)]))),
+    log: string,
+  }),
+  // Supervisor limits per iteration (see supervisor.js); null turns one off
+  timeouts: shape({
+    idleSeconds: nullable(positiveNumber),
+    iterationMinutes: nullable(positiveNumber),
+  }),
+  // Attempts at transient API failures (see run-controller.js)
+  retry: shape({
+    maxRetries: integer(0),
+    baseSeconds: positiveNumber,
+    maxSeconds: positiveNumber,
+  }),
+  // Session limits; null means no limit
+  budget: shape({
+    usd: nullable(positiveNumber),
+    outputTokens: nullable(positiveNumber),
+    minutes: nullable(positiveNumber),
+    warnAt: arrayOf(positiveNumber),
+  }),
+});
+
+function validateConfig(config) {
+  return SCHEMA(config, '');
+}
+
+// Environment variables and the setting each one overrides
+const ENV_SETTINGS = {
+  RALPH_VERBOSITY: { path: ['verbosity'] },
+  RALPH_TOOL_VERBOSITY: { path: ['toolVerbosity'], parse: parseToolVerbosity },
+  RALPH_HIDDEN_TOOLS: { path: ['hiddenTools'], parse: (value) => splitList(value) },
+  RALPH_THINKING: { path: ['thinking'] },
+  RALPH_SUBAGENTS: { path: ['subagents'] },
+  RALPH_THEME: { path: ['theme'] },
+  RALPH_STATUS_BAR: { path: ['statusBar'], parse: parseBoolean },
+  RALPH_RECORD: { path: ['logs', 'record'], parse: parseBoolean },
+  RALPH_LOG_DIR: { path: ['logs', 'dir'] },
+  RALPH_LOG_MAX_MB: { path: ['logs', 'maxMb'], parse: Number },
+  RALPH_LOG_KEEP: { path: ['logs', 'keep'], parse: Number },
+  RALPH_LEDGER_DIR: { path: ['ledgerDir'] },
+  RALPH_GUARD: { path: ['guard', 'rules'], parse: parseGuardRules },
+  RALPH_GUARD_LOG: { path: ['guard', 'log'] },
+  // Non-positive timeouts turn them off
+  RALPH_IDLE_TIMEOUT: { path: ['timeouts', 'idleSeconds'], parse: parseLimit },
+  RALPH_ITERATION_TIMEOUT: { path: ['timeouts', 'iterationMinutes'], parse: parseLimit },
+  RALPH_RETRY_MAX: { path: ['retry', 'maxRetries'], parse: Number },
+  RALPH_RETRY_BASE_SECONDS: { path: ['retry', 'baseSeconds'], parse: Number },
+  RALPH_RETRY_MAX_SECONDS: { path: ['retry', 'maxSeconds'], parse: Number },
+  // Unset or non-positive budgets mean no limit
+  RALPH_BUDGET_USD: { path: ['budget', 'usd'], parse: parseLimit },
+  RALPH_BUDGET_OUTPUT_TOKENS: { path: ['budget', 'outputTokens'], parse: parseLimit },
+  RALPH_BUDGET_MINUTES: { path: ['budget', 'minutes'], parse: parseLimit },
+  RALPH_BUDGET_WARN_AT: { path: ['budget', 'warnAt'], parse: (value) => splitList(value).map(Number) },
+};
+
+function splitList(value) {
+  return String(value).split(',').map(part => part.trim()).filter(Boolean);
+}
+
+function parseBoolean(value) {
+  if (['true', '1', 'yes'].includes(value)) return true;
+  if (['false', '0', 'no'].includes(value)) return false;
+  return value;
+}
+
+function parseLimit(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number <= 0 ? null : number;
+}
+
+// "Read=quiet,Bash=verbose" -> { Read: 'quiet', Bash: 'verbose' }
+function parseToolVerbosity(spec) {
+  const levels = {};
+  splitList(spec).forEach(part => {
+    const [tool, level] = part.split('=').map(value => value && value.trim());
+    if (!tool || !VERBOSITY_LEVELS.includes(level)) {
+      throw new Error(`Invalid tool verbosity "${part}" (expected Tool=${VERBOSITY_LEVELS.join('|')})`);
+    }
+    levels[tool] = level;
+  });
+  return levels;
+}
+
+// "force-push=warn,pipe-to-shell=off" -> { 'force-push': 'warn', 'pipe-to-shell': 'off' }
+function parseGuardRules(spec) {
+  const rules = {};
+  splitList(spec).forEach(part => {
+    const [rule, action] = part.split('=').map(value => value && value.trim());
+    if (!Object.prototype.hasOwnProperty.call(GUARD_RULES, rule) || !GUARD_ACTIONS.includes(action)) {
+      throw new Error(`Invalid guard rule "${part}" (expected rule=${GUARD_ACTIONS.join('|')} with rule one of ${Object.keys(GUARD_RULES).join(', ')})`);
+    }
+    rules[rule] = action;
+  });
+  return rules;
+}
+
+function setPath(target, keys, value) {
+  const last = keys[keys.length - 1];
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (!isObject(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+  return target;
+}
+
+/**
+ * Settings from RALPH_* variables. Empty variables count as unset, so
+ * docker-compose passthroughs do not mask the config file; invalid values
+ * are reported through `warn` and skipped.
+ */
+function configFromEnv(env = process.env, warn = () => {}) {
+  const config = {};
+  Object.entries(ENV_SETTINGS).forEach(([name, { path: keys, parse }]) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return;
+    let value;
+    try {
+      value = parse ? parse(raw) : raw;
+    } catch (error) {
+      warn(`Ignoring ${name}: ${error.message}`);
+      return;
+    }
+    const candidate = setPath({}, keys, value);
+    const problems = validateConfig(candidate);
+    if (problems.length > 0) {
+      // The raw value is already in the message
+      warn(`Ignoring ${name}=${raw}: ${problems[0].replace(/ \(got .*\)$/, '')}`);
+      return;
+    }
+    setPath(config, keys, value);
+  });
+  return config;
+}
+
+// Nested settings merge key by key; arrays and values replace
+function mergeConfig(...layers) {
+  return layers.reduce((merged, layer) => {
+    Object.entries(layer || {}).forEach(([key, value]) => {
+      merged[key] = isObject(value) && isObject(merged[key])
+        ? mergeConfig(merged[key], value)
+        : value;
+    });
+    return merged;
+  }, {});
+}
+
+function readConfigFile(file) {
+  if (file.endsWith('.json')) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`${path.basename(file)} is not valid JSON: ${error.message}`);
+    }
+  }
+  try {
+    return require(path.resolve(file));
+  } catch (error) {
+    throw new Error(`${path.basename(file)} failed to load: ${error.message}`);
+  }
+}
+
+/**
+ * Find and validate the project config file.
+ *
+ * @param {string} [dir] - Workspace root
+ * @returns {{ file: string|null, config: object }}
+ * @throws {Error} Listing every problem when the file is unreadable or invalid
+ */
+function loadConfigFile(dir = process.cwd()) {
+  const found = CONFIG_FILES.map(name => path.join(dir, name)).filter(file => fs.existsSync(file));
+  if (found.length === 0) return { file: null, config: {} };
+  if (found.length > 1) {
+    throw new Error(`Found both ${CONFIG_FILES.join(' and ')}; keep only one`);
+  }
+
+  const file = found[0];
+  const config = readConfigFile(file);
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(file)}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return { file, config };
+}
+
+module.exports = {
+  loadConfigFile,
+  configFromEnv,
+  mergeConfig,
+  validateConfig,
+  parseToolVerbosity,
+  parseGuardRules,
+  CONFIG_FILES,
+  ENV_SETTINGS,
+  THINKING_MODES,
+  SUBAGENT_MODES,
+  VERBOSITY_LEVELS,
+};
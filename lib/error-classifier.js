@@ -0,0 +1,213 @@
+/**
+ * Ralph Error Classifier
+ *
+ * Reads a Claude CLI stream and says how the iteration ended: the model was
+ * not found, the API proxy (LiteLLM/Ollama) could not be reached,
+ * authentication failed, the API was rate limited, overloaded or returned a
+ * 5xx, the prompt outgrew the context window, the run hit its turn limit, the
+ * supervisor stopped it (see supervisor.js), or it finished but some tool
+ * calls failed. The verdict carries the exit code loop.sh acts on (see
+ * exit-codes.js).
+ *
+ * Only error sources are searched: lines that are not JSON (startup and
+ * LiteLLM errors), `error` events, the CLI's API error messages and a failed
+ * result. The agent's text and tool output are never matched, and a
+ * successful result wins over errors the CLI retried past. A retry event
+ * from the run controller starts the verdict over for the next attempt.
+ */
+
+const { EXIT_CODES } = require('./exit-codes');
+const { createSseParser, decodeMessage } = require('./sse');
+const { stripAnsi } = require('./terminal');
+
+// Longest error detail kept in a verdict
+const MAX_DETAIL_LENGTH = 300;
+
+// How the iteration ended, with the exit code for each outcome
+const CATEGORIES = {
+  'ok': { exitCode: EXIT_CODES.OK, retryable: false, message: 'Completed' },
+  'model-not-found': { exitCode: EXIT_CODES.MODEL_NOT_FOUND, retryable: false, message: 'Model not found' },
+  'connection': { exitCode: EXIT_CODES.CONNECTION_FAILED, retryable: true, message: 'Connection error - is the API proxy (LiteLLM/Ollama) running?' },
+  'auth': { exitCode: EXIT_CODES.AUTH_FAILED, retryable: false, message: 'Authentication failed - check the API key or log in again' },
+  'rate-limit': { exitCode: EXIT_CODES.RATE_LIMITED, retryable: true, message: 'Rate limited or overloaded' },
+  'server-error': { exitCode: EXIT_CODES.SERVER_ERROR, retryable: true, message: 'API server error' },
+  'context-window': { exitCode: EXIT_CODES.CONTEXT_WINDOW_EXCEEDED, retryable: false, message: 'Context window exceeded' },
+  'max-turns': { exitCode: EXIT_CODES.MAX_TURNS, retryable: true, message: 'Reached the maximum number of turns' },
+  'timeout': { exitCode: EXIT_CODES.TIMED_OUT, retryable: true, message: 'Timed out' },
+  'tool-errors': { exitCode: EXIT_CODES.TOOL_ERRORS, retryable: true, message: 'Some tool calls failed' },
+  'error': { exitCode: EXIT_CODES.ITERATION_FAILED, retryable: true, message: 'Iteration ended with an error' },
+};
+
+// Checked in order against each error text; the first match wins
+const PATTERNS = [
+  { category: 'auth', pattern: /authentication_(?:error|failed)|invalid[ _-]?(?:x-)?api[ _-]?key|\b401\b|unauthori[sz]ed|oauth token (?:has )?expired|please run \/login/i },
+  { category: 'model-not-found', pattern: /\bmodel\b[^\n]*\bnot[ _]found|not[ _]found[^\n]*\bmodel\b|OllamaException[^\n]*not found|model_not_found/i },
+  { category: 'connection', pattern: /APIConnectionError|ECONNREFUSED|Connection refused|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|socket hang up|fetch failed|Unable to connect|Connection error/i },
+  { category: 'rate-limit', pattern: /rate_limit_error|rate[ -]limit|\b429\b|too many requests|overloaded|\b529\b/i },
+  { category: 'context-window', pattern: /prompt is too long|context[ _](?:window|length)|maximum context|exceeds? (?:the )?context|input length and `?max_tokens`? exceed/i },
+  { category: 'server-error', pattern: /\b50[0234]\b|api_error\b|InternalServerError|ServiceUnavailable|internal server error|service unavailable|bad gateway/i },
+];
+
+// The CLI reports API failures as assistant messages from this model
+const SYNTHETIC_MODEL = '<synthetic>';
+
+const firstLine = (text) => {
+  const line = String(text).split('\n').map(part => part.trim()).find(Boolean) || '';
+  return line.length > MAX_DETAIL_LENGTH ? `${line.substring(0, MAX_DETAIL_LENGTH - 3)}...` : line;
+};
+
+function errorText(error) {
+  if (!error) return '';
+  if (typeof error === 'string') return error;
+  return [error.type, error.message].filter(Boolean).join(': ');
+}
+
+/**
+ * @returns {{ observe(event: object): void, observeText(line: string): void, push(line: string): void, verdict(): object }}
+ */
+function createErrorClassifier() {
+  // Error texts in stream order, with the category they matched (if any)
+  const errors = [];
+  let result = null;
+  let model = null;
+  let toolErrors = 0;
+  // The supervisor's timeout event
+  let timedOut = null;
+  const sse = createSseParser();
+
+  function reset() {
+    errors.length = 0;
+    result = null;
+    toolErrors = 0;
+    timedOut = null;
+  }
+
+  function addError(text) {
+    const clean = stripAnsi(String(text || '')).trim();
+    if (!clean) return;
+    const known = PATTERNS.find(({ pattern }) => pattern.test(clean));
+    errors.push({ category: known ? known.category : null, text: clean });
+  }
+
+  // A line that is not JSON: CLI startup failures and proxy tracebacks
+  function observeText(line) {
+    if (PATTERNS.some(({ pattern }) => pattern.test(line))) addError(line);
+  }
+
+  function observe(event) {
+    if (!event || typeof event !== 'object') return;
+    switch (event.type) {
+      case 'system':
+        if (event.subtype === 'init' && event.model) model = event.model;
+        if (event.subtype === 'timeout') timedOut = event;
+        // The run controller starts the iteration over (see run-controller.js)
+        if (event.subtype === 'retry') reset();
+        break;
+      case 'assistant': {
+        const message = event.message || {};
+        if (message.model && message.model !== SYNTHETIC_MODEL) model = model || message.model;
+        if (event.error || message.model === SYNTHETIC_MODEL) {
+          const content = Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }];
+          const text = content.filter(block => block?.type === 'text').map(block => block.text).join('\n');
+          addError([errorText(event.error), text].filter(Boolean).join(': '));
+        }
+        break;
+      }
+      case 'user':
+        (Array.isArray(event.message?.content) ? event.message.content : [])
+          .filter(block => block?.type === 'tool_result' && block.is_error)
+          .forEach(() => toolErrors++);
+        break;
+      case 'tool_result':
+        if (event.is_error) toolErrors++;
+        break;
+      case 'error':
+        addError(errorText(event.error) || event.message);
+        break;
+      case 'result':
+        result = event;
+        if (failed(event)) {
+          if (event.api_error_status) addError(`API Error: ${event.api_error_status}`);
+          if (typeof event.result === 'string') addError(event.result);
+          (Array.isArray(event.errors) ? event.errors : []).forEach(error => addError(errorText(error)));
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  function observeMessage(message) {
+    const payload = decodeMessage(message);
+    if (!payload || payload.done) return;
+    if ('text' in payload) {
+      observeText(payload.text.trim());
+    } else {
+      observe(payload.data);
+    }
+  }
+
+  // A raw stream line, as the CLI or the API proxy (SSE) prints it
+  function push(line) {
+    sse.push(line).forEach(observeMessage);
+  }
+
+  /**
+   * @returns {{ category: string, message: string, detail: string|null, retryable: boolean, exitCode: number, toolErrors: number }}
+   */
+  function verdict() {
+    // An SSE event the stream ended in the middle of
+    sse.end().forEach(observeMessage);
+    // The CLI retries transient failures itself; a successful result stands
+    const succeeded = result && !failed(result);
+    const known = succeeded ? null : errors.find(error => error.category);
+    let category = 'ok';
+    let detail = null;
+    if (timedOut) {
+      // Cut short by the supervisor, so there is no result to go on
+      category = 'timeout';
+      detail = timedOut.message || null;
+    } else if (known) {
+      category = known.category;
+      detail = firstLine(known.text);
+    } else if (result?.subtype === 'error_max_turns') {
+      category = 'max-turns';
+    } else if (result && !succeeded) {
+      category = 'error';
+      detail = errors.length > 0 ? firstLine(errors[0].text) : result.subtype || null;
+    } else if (toolErrors > 0) {
+      category = 'tool-errors';
+    }
+
+    const { exitCode, retryable, message } = CATEGORIES[category];
+    let text = message;
+    if (category === 'model-not-found' && model) text = `${message}: ${model}`;
+    if (category === 'timeout') text = `${message} (${timedOut.reason === 'idle' ? 'idle' : 'iteration'})`;
+    if (category === 'max-turns' && result.num_turns) text = `${message} (${result.num_turns})`;
+    if (category === 'tool-errors') text = `${toolErrors} ${toolErrors === 1 ? 'tool call' : 'tool calls'} failed`;
+    return { category, message: text, detail, retryable, exitCode, toolErrors };
+  }
+
+  return { observe, observeText, push, verdict };
+}
+
+function failed(result) {
+  return Boolean(result.is_error) || (typeof result.subtype === 'string' && result.subtype.startsWith('error'));
+}
+
+/**
+ * Classify a whole captured stream.
+ *
+ * @param {string} text - The CLI's output, one event per line
+ */
+function classifyStream(text) {
+  const classifier = createErrorClassifier();
+  String(text || '').split('\n').forEach(classifier.push);
+  return classifier.verdict();
+}
+
+module.exports = {
+  createErrorClassifier,
+  classifyStream,
+  CATEGORIES,
+};
@@ -0,0 +1,29 @@
+/**
+ * Ralph Formatter Exit Codes
+ *
+ * Codes the formatter exits with so loop.sh can tell why a pipeline ended.
+ * Kept clear of 1/2 (generic failures) and 126-130 (shell/signal codes).
+ * loop.sh mirrors these values; change both together.
+ */
+
+const EXIT_CODES = {
+  OK: 0,
+  // A cost, token or wall-clock budget was exceeded (RALPH_BUDGET_*)
+  BUDGET_EXCEEDED: 10,
+  // A command guard rule set to 'abort' matched a tool call (see guard.js)
+  GUARD_VIOLATION: 11,
+  // How the stream ended, from the error classifier (see error-classifier.js)
+  MODEL_NOT_FOUND: 20,
+  CONNECTION_FAILED: 21,
+  AUTH_FAILED: 22,
+  RATE_LIMITED: 23,
+  CONTEXT_WINDOW_EXCEEDED: 24,
+  MAX_TURNS: 25,
+  TOOL_ERRORS: 26,
+  ITERATION_FAILED: 27,
+  // The supervisor stopped a silent or overlong iteration (see supervisor.js)
+  TIMED_OUT: 28,
+  SERVER_ERROR: 29,
+};
+
+module.exports = { EXIT_CODES };
@@ -0,0 +1,89 @@
+/**
+ * Ralph Commit Detection
+ *
+ * The agent commits from Bash tool calls, so the formatter spots `git commit`
+ * in a command and reads the result: git's `[branch abc1234] Subject` summary
+ * for a commit that landed, or why it did not (nothing to commit, a failing
+ * hook, an error).
+ */
+
+const { splitCommands, commandWords } = require('./guard');
+
+// git options that take a separate value, e.g. `git -C repo commit`
+const GIT_VALUE_OPTIONS = ['-C', '-c', '--git-dir', '--work-tree', '--namespace'];
+
+const SUMMARY = /^\[(\S+)(?: \([^)]*\))* ([0-9a-f]{7,40})\] (.*)$/gm;
+const CHANGES = /(\d+) files? changed(?:, (\d+) insertions?\(\+\))?(?:, (\d+) deletions?\(-\))?/;
+
+// Why a commit did not happen, checked in order against the output
+const FAILURES = [
+  { reason: 'nothing to commit', pattern: /nothing (?:added )?to commit|no changes added to commit/i },
+  { reason: 'hook failed', pattern: /\bhook\b[^\n]*\b(?:fail|exit|error)|\b(?:pre-commit|commit-msg|husky|lint-staged)\b[^\n]*\b(?:fail|error)/i },
+  { reason: 'author unknown', pattern: /Please tell me who you are|unable to auto-detect email/i },
+  { reason: 'merge conflict', pattern: /unmerged files|fix conflicts/i },
+];
+
+// The git subcommand of a simple command's words, skipping global options
+function gitSubcommand(words) {
+  if (words[0] !== 'git') return null;
+  let i = 1;
+  while (i < words.length && words[i].startsWith('-')) {
+    i += GIT_VALUE_OPTIONS.includes(words[i]) ? 2 : 1;
+  }
+  return { name: words[i] || null, args: words.slice(i + 1) };
+}
+
+/**
+ * Whether a shell command runs `git commit` (dry runs do not count).
+ */
+function isGitCommit(command) {
+  if (typeof command !== 'string' || !command.includes('commit')) return false;
+  return splitCommands(command).map(commandWords).some(words => {
+    const sub = gitSubcommand(words);
+    return sub && sub.name === 'commit' && !sub.args.includes('--dry-run');
+  });
+}
+
+/**
+ * Read a `git commit` call's output.
+ *
+ * @param {string} output - The tool result text
+ * @param {boolean} [isError] - Whether the call failed; unexplained failures are reported as 'failed'
+ * @returns {{ commits: Array<{ hash: string, branch: string, subject: string, changes: string|null }>, failure: string|null, detail: string|null }}
+ */
+function parseCommitOutput(output, isError = false) {
+  const text = String(output || '');
+  const commits = Array.from(text.matchAll(SUMMARY), match => {
+    // The --stat line follows its summary
+    const rest = text.substring(match.index + match[0].length).split('\n').slice(1, 3).join('\n');
+    const changes = rest.match(CHANGES);
+    return {
+      hash: match[2],
+      branch: match[1],
+      subject: match[3].trim(),
+      changes: changes ? describeChanges(changes) : null,
+    };
+  });
+  // A later command in the same call failing does not undo the commit
+  if (commits.length > 0) return { commits, failure: null, detail: null };
+
+  const known = FAILURES.find(({ pattern }) => pattern.test(text));
+  if (!known && !isError) return { commits, failure: null, detail: null };
+  // The line that explains it, or the first one
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const detail = (known && lines.find(line => known.pattern.test(line))) || lines[0] || null;
+  return { commits, failure: known ? known.reason : 'failed', detail };
+}
+
+function describeChanges([, files, insertions, deletions]) {
+  const parts = [`${files} ${files === '1' ? 'file' : 'files'}`];
+  if (insertions) parts.push(`+${insertions}`);
+  if (deletions) parts.push(`-${deletions}`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  isGitCommit,
+  parseCommitOutput,
+  gitSubcommand,
+};
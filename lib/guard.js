@@ -0,0 +1,251 @@
+/**
+ * Ralph Command Guard
+ *
+ * The loop auto-approves every tool call, so the formatter inspects each call
+ * as it arrives and flags risky ones: recursive deletes outside the workspace,
+ * force pushes, piping a download into a shell, and file edits to CI
+ * workflows, .env files or paths outside the workspace.
+ *
+ * Every rule is 'warn', 'abort' or 'off'. Violations are appended to a
+ * violations log (default <workspace>/.ralph/violations.ndjson).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GUARD_ACTIONS = ['off', 'warn', 'abort'];
+
+const DEFAULT_VIOLATIONS_LOG = path.join('.ralph', 'violations.ndjson');
+
+// Tools that write the file named in their input
+const FILE_TOOLS = {
+  Write: 'file_path',
+  Edit: 'file_path',
+  MultiEdit: 'file_path',
+  NotebookEdit: 'notebook_path',
+};
+
+// Example and template env files are meant to be committed
+const ENV_FILE = /^\.env(\..+)?$/;
+const ENV_TEMPLATE = /\.(example|sample|template|dist)$/;
+
+const PIPE_TO_SHELL = [
+  // curl ... | sh, wget -qO- ... | sudo bash
+  /\b(?:curl|wget)\b[^|;&]*\|\s*(?:sudo\s+(?:-\S+\s+)*)?(?:ba|z|da|k)?sh\b/,
+  // bash <(curl ...), sh -c "$(curl ...)"
+  /\b(?:ba|z|da|k)?sh\s+(?:-c\s+)?["']?(?:<\(|\$\()\s*(?:curl|wget)\b[^)]*\)?/,
+];
+
+/**
+ * Split a shell command into simple commands, each a list of words. Quotes
+ * are honoured; anything fancier (subshells, heredocs) is read as plain words.
+ */
+function splitCommands(command) {
+  const commands = [];
+  let words = [];
+  let word = null;
+  let quote = null;
+
+  const endWord = () => {
+    if (word !== null) words.push(word);
+    word = null;
+  };
+  const endCommand = () => {
+    endWord();
+    if (words.length > 0) commands.push(words);
+    words = [];
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === '\\' && quote === '"' && i + 1 < command.length) word += command[++i];
+      else word += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      word = word || '';
+    } else if (ch === '\\' && i + 1 < command.length) {
+      word = (word || '') + command[++i];
+    } else if (/[;&|\n()]/.test(ch)) {
+      endCommand();
+    } else if (/\s/.test(ch)) {
+      endWord();
+    } else {
+      word = (word || '') + ch;
+    }
+  }
+  endCommand();
+  return commands;
+}
+
+// Drop `sudo`, `env` and leading VAR=value assignments
+function commandWords(words) {
+  let i = 0;
+  while (i < words.length && (words[i] === 'sudo' || words[i] === 'env' || /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[i]))) i++;
+  return words.slice(i);
+}
+
+function isInside(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Where a path points: '~' for the home directory, null when it depends on the environment
+function resolveTarget(target, cwd) {
+  if (/^(~|\$HOME\b|\$\{HOME\})/.test(target)) return '~';
+  if (target.startsWith('$') || (cwd === null && !path.isAbsolute(target))) return null;
+  return path.resolve(cwd || '/', target);
+}
+
+function checkRecursiveDelete(command, workspace) {
+  let cwd = workspace;
+  for (const words of splitCommands(command).map(commandWords)) {
+    if (words[0] === 'cd') {
+      // After `cd ~` every relative path is outside; after `cd $DIR` they are unknown
+      const next = resolveTarget(words[1] || '~', cwd);
+      cwd = next === '~' ? '/' : next;
+      continue;
+    }
+    if (words[0] !== 'rm') continue;
+
+    let recursive = false;
+    let flagsDone = false;
+    const targets = [];
+    words.slice(1).forEach(word => {
+      if (!flagsDone && word === '--') flagsDone = true;
+      else if (!flagsDone && word === '--recursive') recursive = true;
+      else if (!flagsDone && /^-[a-zA-Z]+$/.test(word)) recursive = recursive || /[rR]/.test(word);
+      else if (!flagsDone && word.startsWith('--')) return;
+      else targets.push(word);
+    });
+    if (!recursive) continue;
+
+    for (const target of targets) {
+      const resolved = resolveTarget(target, cwd);
+      if (resolved === null) continue;
+      if (resolved === '~' || !isInside(workspace, resolved)) {
+        const where = resolved === path.resolve(workspace) ? 'deletes the whole workspace' : 'deletes outside the workspace';
+        return `${words.slice(0, 2).join(' ')} ${target} ${where}`;
+      }
+    }
+  }
+  return null;
+}
+
+function checkForcePush(command) {
+  for (let words of splitCommands(command).map(commandWords)) {
+    if (words[0] !== 'git') continue;
+    // git -C dir push / git -c key=value push
+    words = words.slice(1);
+    while (/^-[Cc]$/.test(words[0])) words = words.slice(2);
+    if (words[0] !== 'push') continue;
+    const force = words.slice(1).find(word =>
+      /^--force(-with-lease(=.*)?|-if-includes)?$/.test(word) ||
+      /^-[a-zA-Z]*f[a-zA-Z]*$/.test(word) ||
+      /^\+[^+]/.test(word));
+    if (force) return `git push ${force} rewrites remote history`;
+  }
+  return null;
+}
+
+function checkPipeToShell(command) {
+  const match = PIPE_TO_SHELL.map(pattern => command.match(pattern)).find(Boolean);
+  return match ? `\`${match[0].trim()}\` runs a downloaded script` : null;
+}
+
+// Rules in the order they are checked, with their default action
+const GUARD_RULES = {
+  'rm-outside-workspace': {
+    action: 'abort',
+    description: 'rm -r/-rf of paths outside the workspace (or the workspace itself)',
+    check: ({ command, workspace }) => command && checkRecursiveDelete(command, workspace),
+  },
+  'force-push': {
+    action: 'abort',
+    description: 'git push --force / --force-with-lease / +refspec',
+    check: ({ command }) => command && checkForcePush(command),
+  },
+  'pipe-to-shell': {
+    action: 'abort',
+    description: 'curl/wget output piped into a shell',
+    check: ({ command }) => command && checkPipeToShell(command),
+  },
+  'workflow-edit': {
+    action: 'warn',
+    description: 'edits under .github/workflows',
+    check: ({ file, relative }) => file && /(^|\/)\.github\/workflows\//.test(relative || file)
+      ? `edits CI workflow ${relative || file}` : null,
+  },
+  'env-file-edit': {
+    action: 'warn',
+    description: 'edits to .env files (templates such as .env.example are fine)',
+    check: ({ file }) => {
+      const name = file && path.basename(file);
+      return name && ENV_FILE.test(name) && !ENV_TEMPLATE.test(name) ? `edits ${file}` : null;
+    },
+  },
+  'outside-workspace': {
+    action: 'warn',
+    description: 'file edits outside the workspace',
+    check: ({ file, relative }) => file && relative === null ? `writes ${file} outside the workspace` : null,
+  },
+};
+
+/**
+ * @param {object} [params]
+ * @param {string} [params.workspace] - Workspace root; relative paths resolve against it
+ * @param {object} [params.rules] - Action per rule id, overriding the defaults
+ * @returns {{ check(toolName: string, input: object): Array<{ rule: string, action: string, reason: string }>, actions: object }}
+ */
+function createGuard({ workspace = process.cwd(), rules = {} } = {}) {
+  const root = path.resolve(workspace);
+  const actions = Object.fromEntries(Object.entries(GUARD_RULES).map(([id, rule]) => [id, rules[id] || rule.action]));
+
+  function check(toolName, input) {
+    if (!input || typeof input !== 'object') return [];
+    const call = { workspace: root, command: null, file: null, relative: null };
+    if (toolName === 'Bash' && typeof input.command === 'string') {
+      call.command = input.command;
+    } else if (FILE_TOOLS[toolName] && typeof input[FILE_TOOLS[toolName]] === 'string') {
+      call.file = input[FILE_TOOLS[toolName]];
+      const resolved = path.resolve(root, call.file);
+      call.relative = isInside(root, resolved) ? path.relative(root, resolved) : null;
+    } else {
+      return [];
+    }
+
+    return Object.entries(GUARD_RULES)
+      .filter(([id]) => actions[id] !== 'off')
+      .map(([id, rule]) => ({ rule: id, action: actions[id], reason: rule.check(call) }))
+      .filter(violation => violation.reason);
+  }
+
+  return { check, actions };
+}
+
+/**
+ * Append-only NDJSON log of violations; the directory is created on first write.
+ *
+ * @param {object} params
+ * @param {string} params.file
+ */
+function createViolationLog({ file }) {
+  return {
+    file,
+    append(entry) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    },
+  };
+}
+
+module.exports = {
+  createGuard,
+  createViolationLog,
+  splitCommands,
+  commandWords,
+  GUARD_RULES,
+  GUARD_ACTIONS,
+  DEFAULT_VIOLATIONS_LOG,
+};
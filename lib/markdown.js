@@ -0,0 +1,298 @@
+/**
+ * Ralph Terminal Markdown
+ *
+ * Renders the Markdown the model writes - headings, lists, quotes, rules,
+ * tables, fenced code with basic highlighting, and inline emphasis/code/links -
+ * as ANSI text. Works incrementally: push() streamed deltas in and get back
+ * whatever can already be shown.
+ *
+ * Complete lines render as soon as their newline arrives. Plain paragraph text
+ * is shown even before that, up to the first inline marker that is still open
+ * (an unclosed `**` or backtick), so long paragraphs stream word by word.
+ * Table rows are held until the table ends so the columns can be aligned.
+ *
+ * With a width, prose is word-wrapped with hanging indents for list items and
+ * quotes; code and tables are left as they are.
+ */
+
+const { visibleLength, wrapFrom } = require('./terminal');
+
+const RULE_WIDTH = 40;
+
+// Keyword lists are deliberately short: enough to make code scannable
+const LANGUAGES = {
+  js: {
+    keywords: 'async await break case catch class const continue default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while yield true false null undefined',
+    comment: '\\/\\/.*|\\/\\*.*?\\*\\/',
+  },
+  python: {
+    keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield True False None self',
+    comment: '#.*',
+  },
+  sh: {
+    keywords: 'if then else elif fi for in do done case esac while until function return local export readonly set unset echo exit cd source',
+    comment: '(?:^|\\s)#.*',
+    variable: '\\$\\{[^}]*\\}|\\$\\w+',
+  },
+  json: {
+    keywords: 'true false null',
+  },
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js', ts: 'js', typescript: 'js', tsx: 'js',
+  py: 'python', python3: 'python',
+  bash: 'sh', shell: 'sh', zsh: 'sh', console: 'sh',
+  jsonc: 'json',
+};
+
+const STRING_PATTERN = '"(?:\\\\.|[^"\\\\])*"|\'(?:\\\\.|[^\'\\\\])*\'|`(?:\\\\.|[^`\\\\])*`';
+const NUMBER_PATTERN = '\\b\\d+(?:\\.\\d+)?\\b';
+
+const highlighters = {};
+
+// One alternation per language: comment | string | variable | number | keyword
+function highlighterFor(lang) {
+  const key = LANGUAGE_ALIASES[lang] || lang;
+  const spec = LANGUAGES[key];
+  if (!spec) return null;
+  if (!highlighters[key]) {
+    const groups = [
+      spec.comment || '(?!)',
+      STRING_PATTERN,
+      spec.variable || '(?!)',
+      NUMBER_PATTERN,
+      `\\b(?:${spec.keywords.split(' ').join('|')})\\b`,
+    ];
+    highlighters[key] = new RegExp(groups.map(group => `(${group})`).join('|'), 'g');
+  }
+  return highlighters[key];
+}
+
+function highlight(line, lang, c) {
+  const pattern = highlighterFor(lang);
+  if (!pattern) return line;
+  const styles = [c.dim, c.green, c.magenta, c.magenta, c.blue];
+  return line.replace(pattern, (match, ...groups) => {
+    const index = groups.slice(0, styles.length).findIndex(group => group !== undefined);
+    return `${styles[index]}${match}${c.reset}`;
+  });
+}
+
+// Code spans, bold, italics and links; italics need a non-word character outside
+const INLINE_PATTERN = /(`+)([^`]+?)\1|\*\*(.+?)\*\*|__(.+?)__|(?<![\w*])\*(?![\s*])(.+?)(?<![\s*])\*(?!\*)|(?<![\w_])_(?![\s_])(.+?)(?<![\s_])_(?![\w_])|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+function renderInline(text, base, c) {
+  return text.replace(INLINE_PATTERN, (match, ticks, code, bold, boldAlt, italic, italicAlt, label, url) => {
+    const restore = `${c.reset}${base}`;
+    if (code !== undefined) return `${c.yellow}${code}${restore}`;
+    if (bold !== undefined || boldAlt !== undefined) {
+      return `${c.bold}${renderInline(bold ?? boldAlt, `${base}${c.bold}`, c)}${restore}`;
+    }
+    if (italic !== undefined || italicAlt !== undefined) {
+      return `${c.italic}${renderInline(italic ?? italicAlt, `${base}${c.italic}`, c)}${restore}`;
+    }
+    if (label === url) return `${c.blue}${url}${restore}`;
+    return `${label} ${c.dim}(${url})${restore}`;
+  });
+}
+
+// How much of a partial line can be shown without splitting an inline span
+function safeInlineLength(text) {
+  const covered = new Array(text.length).fill(false);
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    covered.fill(true, match.index, match.index + match[0].length);
+  }
+  for (let i = 0; i < text.length; i++) {
+    if (covered[i]) continue;
+    const ch = text[i];
+    const opensUnderscore = ch === '_' && (i === 0 || !/\w/.test(text[i - 1]));
+    if (ch === '`' || ch === '*' || ch === '[' || opensUnderscore) return i;
+  }
+  return text.length;
+}
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TASK = /^\[([ xX])\]\s+(.*)$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const TABLE_ROW = /^\s*\|/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// A partial line that cannot turn into anything but paragraph text
+const PARAGRAPH_START = /^[^\s#>*+\-|`~_\d=]/;
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+function pad(text, width, align) {
+  const gap = Math.max(0, width - visibleLength(text));
+  if (align === 'right') return ' '.repeat(gap) + text;
+  if (align === 'center') return ' '.repeat(Math.floor(gap / 2)) + text + ' '.repeat(Math.ceil(gap / 2));
+  return text + ' '.repeat(gap);
+}
+
+/**
+ * @param {object} params
+ * @param {object} params.colors - ANSI table (see output-formatter.js)
+ * @param {string} [params.baseColor] - Color for plain paragraph text
+ * @param {number|Function} [params.width] - Wrap width, or a function returning it (null: no wrapping)
+ * @returns {{ push(text: string): string, flush(): string }}
+ */
+function createMarkdownStream({ colors: c, baseColor = '', width = null }) {
+  const currentWidth = typeof width === 'function' ? width : () => width;
+  let buffer = '';
+  // Characters of the current (unfinished) line already written, and where they ended
+  let emitted = 0;
+  let column = 0;
+  let code = null;
+  let tableRows = [];
+
+  const paragraph = (text) => (text ? `${baseColor}${renderInline(text, baseColor, c)}${c.reset}` : '');
+
+  function renderTable(rows) {
+    const cells = rows.map(splitRow);
+    if (cells.length < 2 || !TABLE_SEPARATOR.test(rows[1])) {
+      return rows.map(row => `${paragraph(row)}\n`).join('');
+    }
+    const aligns = cells[1].map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+      return cell.endsWith(':') ? 'right' : 'left';
+    });
+    const body = [cells[0], ...cells.slice(2)].map((row, index) =>
+      row.map(cell => (index === 0 ? `${c.bold}${renderInline(cell, c.bold, c)}${c.reset}` : renderInline(cell, '', c))));
+    const columns = Math.max(...body.map(row => row.length));
+    const widths = Array.from({ length: columns }, (_, col) =>
+      Math.max(...body.map(row => visibleLength(row[col] || ''))));
+    const line = (row) => widths.map((width, col) => pad(row[col] || '', width, aligns[col])).join(` ${c.dim}│${c.reset} `);
+    const separator = `${c.dim}${widths.map(width => '─'.repeat(width)).join('─┼─')}${c.reset}`;
+    return [line(body[0]), separator, ...body.slice(1).map(line)].map(row => `${row}\n`).join('');
+  }
+
+  function flushTable() {
+    if (tableRows.length === 0) return '';
+    const out = renderTable(tableRows);
+    tableRows = [];
+    return out;
+  }
+
+  function renderLine(line) {
+    if (code) {
+      const fence = FENCE.exec(line);
+      if (fence && fence[1][0] === code.marker[0] && fence[1].length >= code.marker.length && !fence[2]) {
+        code = null;
+        return '';
+      }
+      return `  ${c.dim}│${c.reset} ${highlight(line, code.lang, c)}\n`;
+    }
+
+    if (TABLE_ROW.test(line)) {
+      tableRows.push(line);
+      return '';
+    }
+    let out = flushTable();
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      code = { marker: fence[1], lang: fence[2].toLowerCase() };
+      return out + (code.lang ? `  ${c.dim}${code.lang}${c.reset}\n` : '');
+    }
+
+    let match;
+    // Continuation lines of wrapped prose line up under the text
+    let indent = '';
+    let text;
+    if ((match = HEADING.exec(line))) {
+      text = `${c.bold}${renderInline(match[2], c.bold, c)}${c.reset}`;
+    } else if (RULE.test(line)) {
+      text = `${c.dim}${'─'.repeat(RULE_WIDTH)}${c.reset}`;
+    } else if ((match = LIST_ITEM.exec(line))) {
+      const depth = Math.floor(match[1].replace(/\t/g, '  ').length / 2);
+      const ordered = /\d/.test(match[2]);
+      let item = match[3];
+      let marker = ordered ? match[2] : (depth % 2 === 0 ? '•' : '◦');
+      const task = TASK.exec(item);
+      if (task) {
+        marker = task[1] === ' ' ? '○' : `${c.green}✓${c.reset}`;
+        item = task[2];
+      }
+      const prefix = `${'  '.repeat(depth + 1)}${marker} `;
+      indent = ' '.repeat(visibleLength(prefix));
+      text = `${prefix}${paragraph(item)}`;
+    } else if ((match = QUOTE.exec(line))) {
+      indent = `${c.dim}│${c.reset} `;
+      text = `${indent}${c.dim}${renderInline(match[1], c.dim, c)}${c.reset}`;
+    } else {
+      text = paragraph(line);
+    }
+    return `${out}${wrapFrom(text, currentWidth(), { indent }).text}\n`;
+  }
+
+  function completeLine(line) {
+    if (emitted > 0) {
+      const rest = wrapFrom(paragraph(line.slice(emitted)), currentWidth(), { column }).text;
+      emitted = 0;
+      column = 0;
+      return `${rest}\n`;
+    }
+    return renderLine(line);
+  }
+
+  // Show the settled part of an unfinished paragraph line
+  function partial() {
+    if (code || tableRows.length > 0 || !buffer) return '';
+    if (emitted === 0 && !PARAGRAPH_START.test(buffer)) return '';
+    const width = currentWidth();
+    let safe = emitted + safeInlineLength(buffer.slice(emitted));
+    if (width) {
+      // Only whole words, so wrapping never splits one across chunks
+      const lastSpace = buffer.slice(emitted, safe).search(/\s\S*$/);
+      safe = lastSpace === -1 ? emitted : emitted + lastSpace + 1;
+    }
+    if (safe <= emitted) return '';
+    const wrapped = wrapFrom(paragraph(buffer.slice(emitted, safe)), width, { column });
+    emitted = safe;
+    column = wrapped.column;
+    return wrapped.text;
+  }
+
+  function push(text) {
+    buffer += text;
+    let out = '';
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      out += completeLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+    }
+    return out + partial();
+  }
+
+  // End of a text block: render whatever is left and reset
+  function flush() {
+    let out = buffer ? completeLine(buffer) : '';
+    buffer = '';
+    emitted = 0;
+    column = 0;
+    code = null;
+    out += flushTable();
+    return out;
+  }
+
+  return { push, flush };
+}
+
+// Render a complete Markdown document in one go
+function renderMarkdown(text, options) {
+  const stream = createMarkdownStream(options);
+  return stream.push(text) + stream.flush();
+}
+
+module.exports = {
+  createMarkdownStream,
+  renderMarkdown,
+  renderInline,
+  highlight,
+};
@@ -6,38 +6,101 @@
  * Provides color-coded output, timing, progress spinners, and cleaner formatting
  *
  * Usage: cat stream.json | node output-formatter.js
+ *        cat stream.json | node output-formatter.js --format normalized-ndjson
+ *        node output-formatter.js --replay <file.ndjson|dir> [--speed N | --instant]
+ *                                 [--from-iteration N] [--tool NAME]
+ *
+ * Embedding:
+ *   const { createFormatter } = require('./output-formatter');
+ *   const formatter = createFormatter({ output: stream, clock: fakeClock });
+ *   formatter.processLine(line);
+ *   formatter.end();
  */
 
+const fs = require('fs');
 const readline = require('readline');
-
-// ANSI color codes
-const colors = {
-  reset: '\x1b[0m',
-  bold: '\x1b[1m',
-  dim: '\x1b[2m',
-  cyan: '\x1b[36m',
-  yellow: '\x1b[33m',
-  green: '\x1b[32m',
-  red: '\x1b[31m',
-  magenta: '\x1b[35m',
-  blue: '\x1b[34m',
-  white: '\x1b[37m',
-};
+const { createRendererRegistry } = require('./tool-renderers');
+const { createSessionLedger, ledgerPathFor, DEFAULT_LEDGER_DIR } = require('./session-ledger');
+const { createBudgetTracker, budgetFromConfig, hasLimits, LIMITS, DEFAULT_WARN_AT } = require('./budget');
+const { EXIT_CODES } = require('./exit-codes');
+const { createRecorder, DEFAULT_LOG_DIR, DEFAULT_MAX_BYTES, DEFAULT_KEEP } = require('./recorder');
+const { loadRecording, selectEntries, replay } = require('./replay');
+const { createStatusBar, fitSegments, formatElapsed } = require('./status-bar');
+const { createMarkdownStream, renderMarkdown } = require('./markdown');
+const { colors, noColors, THEMES, shouldUseColor, paletteFor, visibleLength, wrapFrom, wrapText } = require('./terminal');
+const { createRedactor } = require('./redact');
+const { createGuard, createViolationLog, GUARD_RULES, DEFAULT_VIOLATIONS_LOG } = require('./guard');
+const { createPlanTracker, sessionCheckedOff } = require('./plan-progress');
+const { isGitCommit, parseCommitOutput } = require('./git-commits');
+const { isTestCommand, parseTestOutput, describeTestRun } = require('./test-results');
+const { createErrorClassifier, CATEGORIES } = require('./error-classifier');
+const { createEventNormalizer, parsePartialJson, toolResultText } = require('./stream-events');
+const { createSseParser, decodeMessage } = require('./sse');
+const { toolDetail, DEFAULT_IDLE_SECONDS, DEFAULT_ITERATION_MINUTES } = require('./supervisor');
+const { DEFAULT_MAX_RETRIES, DEFAULT_RETRY_BASE_SECONDS, DEFAULT_RETRY_MAX_SECONDS } = require('./run-controller');
+const { loadConfigFile, configFromEnv, mergeConfig, parseToolVerbosity, THINKING_MODES, SUBAGENT_MODES, VERBOSITY_LEVELS } = require('./config');
 
 // Spinner frames
 const spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
-let spinnerIndex = 0;
-let spinnerInterval = null;
-let currentToolName = '';
 
 // Configuration
 const MAX_CONTENT_LENGTH = 500;
 const MAX_TOOL_INPUT_LENGTH = 200;
+const THINKING_SUMMARY_LENGTH = 80;
+// Failing test names listed under a [tests] line
+const MAX_FAILURES_SHOWN = 5;
+// Iterations in the [tests] trend line
+const TEST_TREND_LENGTH = 6;
+// Tools that run a subagent; its events carry the call's id as parent_tool_use_id
+const SUBAGENT_TOOLS = new Set(['Task', 'Agent']);
+const SGR_PATTERN = /\x1b\[[0-9;]*m/g;
 
-// State
-let messageStartTime = null;
-let toolStartTime = null;
-let totalCost = 0;
+const DEFAULT_OPTIONS = {
+  maxContentLength: MAX_CONTENT_LENGTH,
+  maxToolInputLength: MAX_TOOL_INPUT_LENGTH,
+  maxDiffLines: 40,
+  // Characters of a failed tool's output shown below the error
+  maxResultLength: 300,
+  verbosity: 'normal',
+  // Per-tool verbosity, e.g. { Read: 'quiet', Bash: 'verbose' }
+  toolVerbosity: {},
+  // Tools whose calls and results are not shown (still counted and recorded)
+  hiddenTools: [],
+  // Regular expression sources masked on top of the built-in secret detectors (see redact.js)
+  redactPatterns: [],
+  // Command guard action per rule id, overriding the defaults in guard.js
+  guardRules: {},
+  // Workspace root for the command guard; defaults to the current directory
+  workspace: null,
+  spinner: true,
+  spinnerIntervalMs: 80,
+  iteration: null,
+  branch: null,
+  // { maxUsd, maxOutputTokens, maxWallClockMs, warnAt } - see budget.js
+  budget: null,
+  // Epoch ms the Ralph session started, for the wall-clock budget
+  sessionStartTime: null,
+  // Pin a live status bar to the bottom of the terminal (TTY output only)
+  statusBar: false,
+  // Render assistant text as terminal Markdown instead of raw text
+  markdown: true,
+  // Extended thinking: 'hide', 'summary' (one line) or 'full'
+  thinking: 'summary',
+  // Subagent (Task tool) activity: 'nested' under its Task call, or 'summary' (one line when it finishes)
+  subagents: 'nested',
+  // Colour theme (see terminal.js); color: false drops all escapes
+  theme: 'default',
+  color: true,
+  // Wrap width in columns; 'auto' follows the output's current width, null disables wrapping
+  width: null,
+};
+
+// Real timers; tests inject a fake clock with the same shape
+const systemClock = {
+  now: () => Date.now(),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (handle) => clearInterval(handle),
+};
 
 function truncate(text, maxLen = MAX_CONTENT_LENGTH) {
   if (!text) return '';
@@ -46,213 +109,1444 @@ function truncate(text, maxLen = MAX_CONTENT_LENGTH) {
   return str.substring(0, maxLen) + '... (truncated)';
 }
 
+// Single-line variant for headers and spinners
+function truncateLine(text, maxLen) {
+  const str = String(text);
+  if (str.length <= maxLen) return str;
+  return `${str.substring(0, Math.max(0, maxLen - 1))}…`;
+}
+
 function formatDuration(ms) {
   if (ms < 1000) return `${ms}ms`;
   if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
   return `${(ms / 60000).toFixed(1)}m`;
 }
 
-function startSpinner(toolName) {
-  currentToolName = toolName;
-  stopSpinner();
-  spinnerInterval = setInterval(() => {
-    const frame = spinnerFrames[spinnerIndex % spinnerFrames.length];
-    process.stdout.write(`\r${colors.yellow}${frame}${colors.reset} ${colors.bold}${currentToolName}${colors.reset}  `);
-    spinnerIndex++;
-  }, 80);
+function formatTokens(count) {
+  if (count < 1000) return String(count);
+  if (count < 1000000) return `${(count / 1000).toFixed(1)}k`;
+  return `${(count / 1000000).toFixed(1)}M`;
 }
 
-function stopSpinner() {
-  if (spinnerInterval) {
-    clearInterval(spinnerInterval);
-    spinnerInterval = null;
-    process.stdout.write('\r\x1b[K'); // Clear line
-  }
+function formatTimestamp(date = new Date()) {
+  return date.toISOString();
 }
 
-function log(prefix, color, message) {
-  stopSpinner();
-  console.log(`${color}${prefix}${colors.reset} ${message}`);
+function formatSize(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-function processLine(line) {
-  if (!line.trim()) return;
+function checkVerbosity(level, name) {
+  if (!VERBOSITY_LEVELS.includes(level)) {
+    throw new Error(`Unknown verbosity "${level}" for ${name} (expected ${VERBOSITY_LEVELS.join(', ')})`);
+  }
+}
 
-  // Handle stream-json format (lines starting with "data: ")
-  if (line.startsWith('data: ')) {
-    line = line.substring(6); // Remove "data: " prefix
-  } else if (line.startsWith('event:') || line === ':') {
-    // Skip event lines and heartbeat lines
-    return;
+/**
+ * Create a formatter bound to an output stream.
+ *
+ * @param {object} [params]
+ * @param {{ write(chunk: string): any }} [params.output] - Destination, defaults to stdout
+ * @param {object} [params.clock] - { now, setInterval, clearInterval }, defaults to real timers
+ * @param {object} [params.colors] - ANSI table, same keys as the default `colors`; overrides options.theme/color
+ * @param {object} [params.options] - Overrides for DEFAULT_OPTIONS
+ * @param {object} [params.renderers] - Extra tool renderers keyed by tool name (see tool-renderers.js)
+ * @param {object} [params.ledger] - Session ledger (see session-ledger.js); iterations are appended to it
+ * @param {Function} [params.onAbort] - Called with (exitCode, reason) when the formatter stops the run
+ * @param {object} [params.recorder] - Iteration recorder (see recorder.js) for NDJSON logs and transcripts
+ * @param {object} [params.violationLog] - { append(entry) } for command guard violations (see guard.js)
+ * @param {object} [params.plan] - Plan tracker (see plan-progress.js), refreshed after tool calls that change IMPLEMENTATION_PLAN.md
+ * @returns {{ processLine(line: string): void, end(): void, stopSpinner(): void, close(): void, getTotalCost(): number, getExitCode(): number, getVerdict(): object|null, registerRenderer(name: string, renderer: Function): void }}
+ */
+function createFormatter({ output = process.stdout, clock = systemClock, colors: palette = null, options = {}, renderers = {}, ledger = null, onAbort = () => {}, recorder = null, violationLog = null, plan = null } = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const c = palette || paletteFor(opts.theme, opts.color);
+  checkVerbosity(opts.verbosity, 'verbosity');
+  Object.entries(opts.toolVerbosity).forEach(([tool, level]) => checkVerbosity(level, tool));
+  const registry = createRendererRegistry(renderers);
+  const rendererContext = {
+    colors: c,
+    truncate,
+    maxContentLength: opts.maxContentLength,
+    maxToolInputLength: opts.maxToolInputLength,
+    maxDiffLines: opts.maxDiffLines,
+  };
+  const verboseRendererContext = {
+    ...rendererContext,
+    maxContentLength: Infinity,
+    maxToolInputLength: Infinity,
+    maxDiffLines: Infinity,
+  };
+
+  const levelFor = (toolName) => opts.toolVerbosity[toolName] || opts.verbosity;
+  const hiddenTools = new Set(opts.hiddenTools);
+  // Secrets are masked on the way in, so the output, logs and transcripts never see them
+  const redactor = createRedactor({ patterns: opts.redactPatterns });
+  const lineRedaction = redactor.createStream();
+  const textRedaction = redactor.createStream();
+  const thinkingRedaction = redactor.createStream();
+  const guard = createGuard({ workspace: opts.workspace || process.cwd(), rules: opts.guardRules });
+  const shows = (level, min) => VERBOSITY_LEVELS.indexOf(level) >= VERBOSITY_LEVELS.indexOf(min);
+  // Quiet runs skip thinking whatever its mode
+  const thinkingMode = shows(opts.verbosity, 'normal') ? opts.thinking : 'hide';
+
+  // State
+  let messageStartTime = null;
+  let totalCost = 0;
+  // Tool calls awaiting their result, keyed by tool_use id (insertion ordered)
+  const pendingTools = new Map();
+  let anonymousToolCount = 0;
+  // Per-iteration stats for the session ledger
+  const stats = {
+    startTime: clock.now(),
+    toolCounts: {},
+    toolCalls: 0,
+    errors: 0,
+    // { hash, subject } per commit the agent made
+    commits: [],
+    // Test runs read from Bash output (see test-results.js)
+    testRuns: [],
+    // { attempt, category, delayMs } per attempt the run controller retried
+    retries: [],
+    active: false,
+    recorded: false,
+  };
+  // Output tokens per message id; streamed deltas update the running count
+  const messageOutputTokens = new Map();
+  let currentMessageId = null;
+  let messageCount = 0;
+  let lastModel = null;
+  let resultUsage = null;
+  // A failed result is only recorded once no retry follows it
+  let lastResult = null;
+  // When the run controller starts the next attempt (see run-controller.js)
+  let retryAt = null;
+  let exitCode = EXIT_CODES.OK;
+  let aborted = false;
+  // How the stream ended, decided once it is over (see error-classifier.js)
+  const classifier = createErrorClassifier();
+  let verdict = null;
+  let spinnerIndex = 0;
+  let spinnerInterval = null;
+  let currentToolName = '';
+  // Thinking block being streamed: { text, atLineStart, column, pending }
+  let thinking = null;
+  // Every input dialect becomes the same events (see stream-events.js)
+  const normalizer = createEventNormalizer();
+  // Framing of streams read straight from the API proxy (see sse.js)
+  const sse = createSseParser();
+  // The (redacted) line being handled, for the violations log
+  let currentLine = null;
+  // Running subagents keyed by the id of their Task call:
+  // { label, depth, parent, toolCount, errors, shown }
+  const subagents = new Map();
+  // Subagent whose events are being handled (null for the main agent), the
+  // gutter its output is indented with, and whether that output is collapsed
+  let scope = null;
+  let gutter = '';
+  let muted = false;
+  let atLineStart = true;
+
+  // Budgets and the status bar are session-wide: earlier iterations come from the ledger
+  const sessionStartTime = opts.sessionStartTime || clock.now();
+  const baseline = { costUsd: 0, outputTokens: 0, errors: 0 };
+  if (ledger && (hasLimits(opts.budget) || opts.statusBar)) {
+    try {
+      const totals = ledger.totals();
+      baseline.costUsd = totals.costUsd || 0;
+      baseline.outputTokens = totals.outputTokens || 0;
+      baseline.errors = totals.errors || 0;
+    } catch {
+      // Unreadable ledger: count this iteration on its own
+    }
+  }
+  let budgetTracker = null;
+  if (hasLimits(opts.budget)) {
+    budgetTracker = createBudgetTracker(opts.budget, {
+      ...baseline,
+      wallClockMs: clock.now() - sessionStartTime,
+    });
   }
 
-  let data;
-  try {
-    data = JSON.parse(line);
-  } catch {
-    // Not JSON, output as-is
-    console.log(line);
-    return;
+  function currentWidth() {
+    const width = opts.width === 'auto' ? output.columns || null : opts.width;
+    return width && width - gutter.length;
   }
 
-  const type = data.type;
+  // Streamed assistant text, rendered a line (or settled phrase) at a time
+  const markdownOptions = { colors: c, baseColor: c.cyan, width: currentWidth };
+  const textStream = opts.markdown ? createMarkdownStream(markdownOptions) : null;
 
-  switch (type) {
-    case 'assistant': {
-      const content = data.message?.content;
-      if (content) {
-        if (Array.isArray(content)) {
-          content.forEach(block => {
-            if (block.type === 'text' && block.text) {
-              log('', colors.cyan, block.text);
-            }
-          });
-        } else {
-          log('', colors.cyan, content);
-        }
-      }
-      break;
+  function write(text) {
+    if (!text || muted) return;
+    if (scope) scope.shown = true;
+    output.write(gutter ? indentLines(text) : text);
+    atLineStart = text.endsWith('\n');
+  }
+
+  // Put the gutter before each line; a colour left open across a line break is reopened after it
+  function indentLines(text) {
+    const bar = `${c.dim}${gutter}${c.reset}`;
+    const lines = text.split('\n');
+    let style = '';
+    return lines.map((line, i) => {
+      const indented = (i > 0 || atLineStart) && (line || i < lines.length - 1) ? `${bar}${style}${line}` : line;
+      (line.match(SGR_PATTERN) || []).forEach(code => {
+        style = code === c.reset ? '' : style + code;
+      });
+      return indented;
+    }).join('\n');
+  }
+
+  // Finish any half-rendered line before other output lands after it
+  function flushText() {
+    if (textStream) write(textStream.flush());
+  }
+
+  // Long lines wrap under their own indentation unless told otherwise
+  function writeLine(text = '', indent = null) {
+    flushText();
+    write(`${wrapText(text, currentWidth(), indent)}\n`);
+  }
+
+  function writeText(text) {
+    if (!shows(opts.verbosity, 'normal')) return;
+    if (!opts.markdown) {
+      log('', c.cyan, text);
+      return;
+    }
+    stopSpinner();
+    write(renderMarkdown(text, markdownOptions));
+  }
+
+  // The label may be a function, for text that changes while it spins
+  function startSpinner(toolName) {
+    currentToolName = toolName;
+    stopSpinner();
+    // The status bar shows running tools itself
+    if (!opts.spinner || statusBar) return;
+    spinnerInterval = clock.setInterval(() => {
+      const frame = spinnerFrames[spinnerIndex % spinnerFrames.length];
+      // A spinner line that wraps can no longer be cleared with \r
+      const width = currentWidth();
+      const label = typeof currentToolName === 'function' ? currentToolName() : currentToolName;
+      const name = width ? truncateLine(label, width - 5) : label;
+      output.write(`\r${c.yellow}${frame}${c.reset} ${c.bold}${name}${c.reset}  `);
+      spinnerIndex++;
+    }, opts.spinnerIntervalMs);
+  }
+
+  function stopSpinner() {
+    if (spinnerInterval) {
+      clock.clearInterval(spinnerInterval);
+      spinnerInterval = null;
+      output.write('\r\x1b[K'); // Clear line
+    }
+  }
+
+  // Status bar segments, most important first; the tail is dropped on narrow terminals
+  function renderStatus(width) {
+    const now = clock.now();
+    const running = Array.from(pendingTools.values());
+    const segments = [
+      { text: opts.iteration ? `Iteration ${opts.iteration}` : 'Ralph', color: c.bold },
+      { text: formatElapsed(now - stats.startTime) },
+    ];
+    if (retryAt !== null) {
+      segments.push({ text: `retry in ${Math.max(0, Math.ceil((retryAt - now) / 1000))}s`, color: c.yellow });
+    } else if (running.length > 0) {
+      const frame = spinnerFrames[Math.floor(now / opts.spinnerIntervalMs) % spinnerFrames.length];
+      const names = running.map(runningLabel).join(', ');
+      segments.push({ text: `${frame} ${names} ${formatElapsed(now - running[0].startTime)}`, color: c.yellow });
+    } else {
+      segments.push({ text: 'thinking', color: c.dim });
     }
+    segments.push(
+      { text: `${formatTokens(baseline.outputTokens + iterationOutputTokens())} tokens` },
+      { text: `$${(baseline.costUsd + totalCost).toFixed(4)}` },
+    );
+    const errors = baseline.errors + stats.errors;
+    segments.push({ text: `${errors} ${errors === 1 ? 'error' : 'errors'}`, color: errors ? c.red : '' });
+    return fitSegments(segments, width, c.reset);
+  }
+
+  let statusBar = null;
+  if (opts.statusBar && output.isTTY) {
+    statusBar = createStatusBar({ output, clock, render: renderStatus, intervalMs: opts.spinnerIntervalMs });
+    if (!statusBar.enable()) statusBar = null;
+  }
+
+  // Wrapped message lines hang under the text, not the prefix
+  function log(prefix, color, message) {
+    stopSpinner();
+    writeLine(`${color}${prefix}${c.reset} ${message}`, prefix ? ' '.repeat(visibleLength(prefix) + 1) : null);
+  }
+
+  // A full disk must not stop the live output; drop the recorder instead
+  function record(method, ...args) {
+    if (!recorder) return;
+    try {
+      recorder[method](...args);
+    } catch (error) {
+      recorder = null;
+      log('[warn]', c.yellow, `Recording disabled: ${error.message}`);
+    }
+  }
 
-    case 'content_block_start': {
-      const blockType = data.content_block?.type;
-      if (blockType === 'tool_use') {
-        const toolName = data.content_block?.name || 'unknown';
-        toolStartTime = Date.now();
-        startSpinner(toolName);
+  // Flag risky calls before the loop's auto-approval runs them
+  function guardToolCall(toolName, input) {
+    const violations = guard.check(toolName, input);
+    // A collapsed subagent still shows what the guard caught
+    const wasMuted = muted;
+    muted = false;
+    violations.forEach(violation => {
+      logViolation(toolName, input, violation);
+      if (violation.action === 'warn') {
+        log('[guard]', c.yellow, `${violation.reason} (${violation.rule})`);
       }
-      break;
+    });
+    const blocking = violations.find(violation => violation.action === 'abort');
+    if (blocking) {
+      abort(EXIT_CODES.GUARD_VIOLATION, 'DANGEROUS COMMAND BLOCKED', `${blocking.reason} (${blocking.rule})`);
     }
+    muted = wasMuted && !aborted;
+  }
 
-    case 'content_block_delta': {
-      const deltaType = data.delta?.type;
-      if (deltaType === 'text_delta' && data.delta?.text) {
-        stopSpinner();
-        process.stdout.write(`${colors.cyan}${data.delta.text}${colors.reset}`);
+  function logViolation(toolName, input, { rule, action, reason }) {
+    if (!violationLog) return;
+    try {
+      violationLog.append({
+        time: new Date(clock.now()).toISOString(),
+        branch: opts.branch,
+        iteration: opts.iteration,
+        rule,
+        action,
+        reason,
+        tool: toolName,
+        input,
+        event: currentLine,
+      });
+    } catch (error) {
+      violationLog = null;
+      log('[warn]', c.yellow, `Violations log disabled: ${error.message}`);
+    }
+  }
+
+  // Track a tool call so its result can be paired with it later
+  function beginTool(id, name) {
+    const key = id || `anonymous-${++anonymousToolCount}`;
+    if (!pendingTools.has(key)) {
+      stats.toolCounts[name] = (stats.toolCounts[name] || 0) + 1;
+      stats.toolCalls++;
+      for (let agent = scope; agent; agent = agent.parent) agent.toolCount++;
+    }
+    pendingTools.set(key, { name, hidden: hiddenTools.has(name), startTime: clock.now() });
+    return key;
+  }
+
+  // Pair a result with its call; results without an id close the latest call
+  function finishTool(id) {
+    let key = id;
+    if (!key || !pendingTools.has(key)) {
+      key = id ? null : Array.from(pendingTools.keys()).pop();
+    }
+    if (!key) return null;
+    const call = pendingTools.get(key);
+    pendingTools.delete(key);
+    return { ...call, duration: clock.now() - call.startTime };
+  }
+
+  function startSubagent(id, input) {
+    subagents.set(id, {
+      label: input?.description || input?.subagent_type || 'subagent',
+      depth: scope ? scope.depth + 1 : 1,
+      parent: scope,
+      toolCount: 0,
+      errors: 0,
+      shown: false,
+    });
+  }
+
+  // Subagent events carry the id of the Task call that spawned them
+  function enterScope(parentId) {
+    const next = (parentId && subagents.get(parentId)) || null;
+    if (next === scope) return;
+    stopSpinner();
+    flushText();
+    if (!atLineStart) write('\n');
+    scope = next;
+    const nested = scope && opts.subagents === 'nested';
+    gutter = nested ? '│ '.repeat(scope.depth) : '';
+    muted = Boolean(scope) && !nested;
+    // Parallel subagents take turns; say whose output this is
+    if (scope && scope.shown && shows(opts.verbosity, 'normal')) log('[subagent]', c.magenta, scope.label);
+  }
+
+  // A call whose input is still streaming shows what it targets, once that
+  // much has arrived, and how much input there is so far
+  function runningLabel(call) {
+    const { streaming } = call;
+    if (!streaming) return call.name;
+    if (!streaming.detail && streaming.parsedLength !== streaming.json.length) {
+      streaming.parsedLength = streaming.json.length;
+      // A secret can span fragments, so the joined text is redacted again
+      streaming.detail = redactor.redact(toolDetail(parsePartialJson(streaming.json)));
+    }
+    return [call.name, streaming.detail, `(${formatSize(streaming.bytes)})`].filter(Boolean).join(' ');
+  }
+
+  // Keep the spinner showing whatever is still running
+  function resumeSpinner() {
+    const calls = Array.from(pendingTools.values()).filter(call => !call.hidden);
+    if (calls.length > 0) {
+      startSpinner(() => calls.map(runningLabel).join(', '));
+    }
+  }
+
+  function renderToolUse(event) {
+    // Shown already, from the streamed call (see tool_call_end)
+    if (pendingTools.get(event.id)?.rendered) return;
+    stopSpinner();
+    const toolName = event.name;
+    const level = levelFor(toolName);
+    const hidden = hiddenTools.has(toolName);
+    if (!hidden) log('[tool]', c.yellow, `${c.bold}${toolName}${c.reset}`);
+    if (!hidden && shows(level, 'normal')) {
+      const context = level === 'verbose' ? verboseRendererContext : rendererContext;
+      registry.render(toolName, event.input, context).forEach(line => {
+        writeLine(`  ${line}`);
+      });
+    }
+    if (recorder) {
+      record('toolUse', toolName, registry.render(toolName, event.input, { ...rendererContext, colors: noColors }));
+    }
+    const id = beginTool(event.id, toolName);
+    pendingTools.get(id).rendered = true;
+    if (SUBAGENT_TOOLS.has(toolName)) startSubagent(id, event.input);
+    // The plan is read again once the result says the call went through
+    if (plan && plan.targets(toolName, event.input)) pendingTools.get(id).touchesPlan = true;
+    if (toolName === 'Bash' && isGitCommit(event.input.command)) pendingTools.get(id).commit = true;
+    if (toolName === 'Bash' && isTestCommand(event.input.command)) pendingTools.get(id).testRun = true;
+    guardToolCall(toolName, event.input);
+    if (!aborted) resumeSpinner();
+  }
+
+  function renderToolResult(event) {
+    stopSpinner();
+    const call = finishTool(event.id);
+    const label = call ? call.name : 'Tool';
+    const duration = call ? formatDuration(call.duration) : '';
+    const { content, isError } = event;
+    record('toolResult', label, isError, content, duration);
+
+    const level = levelFor(label);
+    if (isError) {
+      stats.errors++;
+      for (let agent = scope; agent; agent = agent.parent) agent.errors++;
+    }
+    const checkedOff = call?.touchesPlan && !isError ? plan.refresh() : [];
+    const commit = call?.commit ? parseCommitOutput(content, isError) : null;
+    if (commit) stats.commits.push(...commit.commits.map(({ hash, subject }) => ({ hash, subject })));
+    const testRun = call?.testRun ? parseTestOutput(content) : null;
+    if (testRun) stats.testRuns.push(testRun);
+    if (call && call.hidden) {
+      showCheckedOff(checkedOff);
+      if (commit) showCommit(commit);
+      if (testRun) showTestRun(testRun);
+      resumeSpinner();
+      return;
+    }
+    // A finished subagent is summed up on its Task call's result line
+    const subagent = subagents.get(event.id);
+    subagents.delete(event.id);
+    const name = subagent ? `${label}: ${subagent.label}` : label;
+    const details = [duration];
+    if (subagent) {
+      details.push(`${subagent.toolCount} tool ${subagent.toolCount === 1 ? 'call' : 'calls'}`);
+      if (subagent.errors) details.push(`${subagent.errors} ${subagent.errors === 1 ? 'error' : 'errors'}`);
+    }
+    const detail = details.filter(Boolean).join(', ');
+    if (isError) {
+      log('[error]', c.red, `${name} failed ${detail ? `(${detail})` : ''}`);
+      if (content) {
+        const body = level === 'verbose' ? content : truncate(content, opts.maxResultLength);
+        writeLine(`${c.red}  ${body.replace(/\n/g, '\n  ')}${c.reset}`);
+      }
+    } else if (shows(level, 'normal')) {
+      log('[done]', c.green, `${name} completed ${detail ? `(${detail})` : ''}`);
+      if (level === 'verbose' && content) {
+        writeLine(`${c.dim}  ${content.replace(/\n/g, '\n  ')}${c.reset}`);
       }
-      // Ignore input_json_delta - it's streaming tool input
-      break;
     }
+    showCheckedOff(checkedOff);
+    if (commit) showCommit(commit);
+    if (testRun) showTestRun(testRun);
+    resumeSpinner();
+  }
 
-    case 'content_block_stop': {
-      // End of content block
-      break;
+  // Shown at every verbosity; the counts matter more than the truncated output above
+  function showTestRun(run) {
+    log('[tests]', run.failed ? c.red : c.green, `${describeTestRun(run)} ${c.dim}(${run.runner})${c.reset}`);
+    run.failures.slice(0, MAX_FAILURES_SHOWN).forEach(name => writeLine(`${c.red}  ✗ ${name}${c.reset}`));
+    if (run.failures.length > MAX_FAILURES_SHOWN) {
+      writeLine(`${c.dim}  ... and ${run.failures.length - MAX_FAILURES_SHOWN} more${c.reset}`);
     }
+  }
 
-    case 'tool_use': {
-      stopSpinner();
-      const toolName = data.name || 'unknown';
-      const input = data.input ? JSON.stringify(data.input) : '{}';
-      log('[tool]', colors.yellow, `${colors.bold}${toolName}${colors.reset}`);
-      console.log(`${colors.dim}  input: ${truncate(input, MAX_TOOL_INPUT_LENGTH)}${colors.reset}`);
-      toolStartTime = Date.now();
-      startSpinner(toolName);
-      break;
+  // The last run of the iteration is its result, e.g. "#3 ✓ 42 → #4 ✗ 41/43"
+  function showTestTrend(records) {
+    const runs = records.filter(entry => entry.tests).slice(-TEST_TREND_LENGTH);
+    if (runs.length < 2) return;
+    const trend = runs.map(({ iteration, tests }) => {
+      const label = iteration ? `#${iteration} ` : '';
+      return tests.failed ? `${label}${c.red}✗ ${tests.passed}/${tests.passed + tests.failed}${c.reset}` : `${label}${c.green}✓ ${tests.passed}${c.reset}`;
+    });
+    const [previous, current] = runs.slice(-2).map(entry => entry.tests.failed > 0);
+    let note = '';
+    if (!previous && current) note = ` ${c.red}(suite broke this iteration)${c.reset}`;
+    if (previous && !current) note = ` ${c.green}(suite fixed this iteration)${c.reset}`;
+    writeLine(`${c.dim}[tests]${c.reset} ${trend.join(' → ')}${note}`);
+  }
+
+  // Shown at every verbosity, like errors
+  function showCommit({ commits, failure, detail }) {
+    commits.forEach(({ hash, subject, changes }) => {
+      log('[commit]', `${c.bold}${c.green}`, `${c.bold}${hash}${c.reset} ${subject}${changes ? ` ${c.dim}(${changes})${c.reset}` : ''}`);
+    });
+    if (failure) {
+      const why = !detail ? failure : detail.toLowerCase().includes(failure) ? detail : `${failure}: ${detail}`;
+      log('[commit]', c.red, `Not committed: ${why}`);
     }
+  }
 
-    case 'tool_result': {
-      stopSpinner();
-      const isError = data.is_error;
-      const duration = toolStartTime ? formatDuration(Date.now() - toolStartTime) : '';
+  function showCheckedOff(items) {
+    if (!shows(opts.verbosity, 'normal')) return;
+    items.forEach(text => log('[plan]', c.green, `✓ ${text}`));
+  }
 
-      if (isError) {
-        log('[error]', colors.red, `Tool failed ${duration ? `(${duration})` : ''}`);
-        if (data.content) {
-          console.log(`${colors.red}  ${truncate(data.content, 300)}${colors.reset}`);
-        }
-      } else {
-        log('[done]', colors.green, `Tool completed ${duration ? `(${duration})` : ''}`);
+  // e.g. "7/12 tasks done, +2 this iteration"; null without a plan
+  function planSummary() {
+    if (!plan) return null;
+    const { exists, done, total, checkedOff } = plan.progress();
+    if (!exists || total === 0) return null;
+    return `${done}/${total} tasks done, +${checkedOff.length} this iteration`;
+  }
+
+  function thinkingSummary(text) {
+    const firstLine = text.trim().split('\n')[0] || '';
+    return `${truncateLine(firstLine, THINKING_SUMMARY_LENGTH + 1)} (${text.length.toLocaleString('en-US')} chars)`;
+  }
+
+  // Indent streamed thinking under its header, however the chunks split lines.
+  // When wrapping, a trailing partial word waits for the next chunk.
+  function writeThinking(text, final = false) {
+    const width = currentWidth();
+    let ready = thinking.pending + text;
+    thinking.pending = '';
+    if (width && !final) {
+      const cut = ready.search(/\S+$/);
+      if (cut !== -1) {
+        thinking.pending = ready.substring(cut);
+        ready = ready.substring(0, cut);
       }
-      toolStartTime = null;
-      break;
     }
 
-    case 'error': {
+    let out = '';
+    ready.split(/(\n)/).forEach(part => {
+      if (part === '\n') {
+        out += '\n';
+        thinking.atLineStart = true;
+        thinking.column = 0;
+      } else if (part) {
+        if (thinking.atLineStart) {
+          out += '  ';
+          thinking.column = 2;
+          thinking.atLineStart = false;
+        }
+        const wrapped = wrapFrom(part, width, { column: thinking.column, indent: '  ' });
+        out += wrapped.text;
+        thinking.column = wrapped.column;
+      }
+    });
+    if (out) write(`${c.dim}${out}${c.reset}`);
+  }
+
+  function startThinking(text = '') {
+    if (thinking) endThinking();
+    thinking = { text: '', atLineStart: true, column: 0, pending: '' };
+    if (thinkingMode === 'full') {
       stopSpinner();
-      const errorMsg = data.error?.message || data.message || 'Unknown error';
-      log('[ERROR]', colors.red, errorMsg);
-      break;
+      writeLine(`${c.magenta}[thinking]${c.reset}`);
+    }
+    appendThinking(text);
+  }
+
+  function appendThinking(text) {
+    text = thinkingRedaction.push(text);
+    if (!text) return;
+    thinking.text += text;
+    if (thinkingMode === 'full') writeThinking(text);
+  }
+
+  function endThinking() {
+    const rest = thinkingRedaction.flush();
+    if (rest) {
+      thinking.text += rest;
+      if (thinkingMode === 'full') writeThinking(rest);
+    }
+    if (thinkingMode === 'full') {
+      writeThinking('', true);
+      if (!thinking.atLineStart) write('\n');
     }
+    const { text } = thinking;
+    thinking = null;
+    if (thinkingMode === 'summary' && text.trim()) {
+      log('[thinking]', c.magenta, `${c.dim}${thinkingSummary(text)}${c.reset}`);
+    }
+  }
 
-    case 'message_start': {
-      messageStartTime = Date.now();
-      const model = data.message?.model;
-      if (model) {
-        console.log(`${colors.dim}[model: ${model}]${colors.reset}`);
-      }
-      break;
+  // Complete thinking blocks, as the Claude CLI sends them
+  function renderThinking(event) {
+    if (thinkingMode === 'hide') return;
+    if (event.redacted) {
+      log('[thinking]', c.magenta, `${c.dim}(redacted)${c.reset}`);
+      return;
     }
+    startThinking(event.text);
+    endThinking();
+  }
 
-    case 'message_stop': {
+  function iterationOutputTokens() {
+    if (resultUsage && resultUsage.outputTokens !== null) return resultUsage.outputTokens;
+    let total = 0;
+    messageOutputTokens.forEach(count => { total += count; });
+    return total;
+  }
+
+  function formatBudgetValue(limit, value) {
+    if (limit === 'costUsd') return `$${value.toFixed(4)}`;
+    if (limit === 'wallClockMs') return formatDuration(Math.round(value));
+    return formatTokens(Math.round(value));
+  }
+
+  function checkBudget() {
+    if (!budgetTracker || aborted) return;
+    const { warnings, exceeded } = budgetTracker.check({
+      costUsd: baseline.costUsd + totalCost,
+      outputTokens: baseline.outputTokens + iterationOutputTokens(),
+      wallClockMs: clock.now() - sessionStartTime,
+    });
+
+    warnings.forEach(({ limit, threshold, used, max }) => {
+      log('[budget]', c.yellow, `${Math.round(threshold * 100)}% of ${LIMITS[limit].label} budget used ` +
+        `(${formatBudgetValue(limit, used)} of ${formatBudgetValue(limit, max)})`);
+    });
+
+    if (exceeded) {
+      const { limit, used, max } = exceeded;
+      abort(EXIT_CODES.BUDGET_EXCEEDED, 'BUDGET EXCEEDED',
+        `${LIMITS[limit].label}: ${formatBudgetValue(limit, used)} of ${formatBudgetValue(limit, max)}`);
+    }
+  }
+
+  // Stop processing, record what we have and hand the exit code to the caller
+  function abort(code, title, reason) {
+    stopSpinner();
+    muted = false;
+    const rule = '━'.repeat(46);
+    writeLine('');
+    writeLine(`${c.red}${rule}${c.reset}`);
+    writeLine(`  ${c.red}${c.bold}${title}${c.reset} ${reason}`);
+    writeLine(`  Stopping Ralph (exit code ${code})`);
+    writeLine(`${c.red}${rule}${c.reset}`);
+    recordIteration(lastResult);
+    aborted = true;
+    exitCode = code;
+    onAbort(code, `${title}: ${reason}`);
+  }
+
+  // Events are redacted field by field. Other lines are redacted as a text
+  // stream, since a private key block spans several of them.
+  function redactLine(line) {
+    const prefix = line.match(/^data: ?/)?.[0] || '';
+    let data;
+    try {
+      data = JSON.parse(line.substring(prefix.length));
+    } catch {
+      const safe = lineRedaction.push(`${line}\n`);
+      return safe.trim() ? safe.replace(/\n$/, '') : null;
+    }
+    const clean = redactor.redactValue(data);
+    return clean === data ? line : `${prefix}${JSON.stringify(clean)}`;
+  }
+
+  // Streamed assistant text, after redaction
+  function writeDelta(text) {
+    if (!text) return;
+    if (shows(opts.verbosity, 'normal')) {
       stopSpinner();
-      console.log('');
-      break;
+      write(textStream ? textStream.push(text) : `${c.cyan}${text}${c.reset}`);
     }
+    record('text', text);
+  }
 
-    case 'message_delta': {
-      // Message metadata update
-      const usage = data.usage;
-      if (usage) {
-        const tokens = usage.output_tokens || 0;
-        console.log(`${colors.dim}[tokens: ${tokens}]${colors.reset}`);
-      }
-      break;
+  function processLine(line) {
+    if (aborted) return;
+    // A blank line ends an SSE event
+    if (!line.trim()) {
+      const messages = sse.push(line);
+      if (messages.length > 0) record('event', '');
+      messages.forEach(processMessage);
+      return;
     }
+    line = redactLine(line);
+    // Inside a private key block
+    if (line === null) return;
+    currentLine = line;
+    record('event', line);
+    sse.push(line).forEach(processMessage);
+  }
 
-    case 'system': {
-      const text = data.message;
-      if (text) {
-        log('[system]', colors.magenta, text);
-      }
-      break;
+  // One SSE event or other stream line (see sse.js)
+  function processMessage(message) {
+    if (aborted) return;
+    const payload = decodeMessage(message);
+    if (!payload) return;
+    if (payload.done) {
+      normalizer.end().forEach(handleEvent);
+      return;
+    }
+    if ('text' in payload) {
+      // Not JSON, output as-is
+      classifier.observeText(payload.text);
+      handleEvent({ type: 'raw', text: payload.text });
+      return;
+    }
+
+    // Data split over several lines was redacted as text, line by line
+    const data = message.data.includes('\n') ? redactor.redactValue(payload.data) : payload.data;
+    stats.active = true;
+    classifier.observe(data);
+    for (const event of normalizer.push(data)) {
+      // Nothing after a blocked call is shown
+      if (aborted) break;
+      handleEvent(event);
     }
+    checkBudget();
+    if (statusBar) statusBar.update();
+  }
 
-    case 'result': {
+  // Renders one normalized event (see stream-events.js)
+  function handleEvent(event) {
+    // Lines that are not JSON belong to no agent in particular
+    if (event.type === 'raw') {
+      writeLine(event.text);
+      return;
+    }
+    enterScope(event.parentId);
+    // The next attempt is under way
+    if (retryAt !== null) {
+      retryAt = null;
       stopSpinner();
-      const cost = data.cost_usd;
-      const duration = data.duration_ms;
-      const parts = [];
-      if (cost) {
-        totalCost += parseFloat(cost);
-        parts.push(`cost: $${cost}`);
+    }
+
+    switch (event.type) {
+      case 'model':
+        showModel(event.model);
+        break;
+
+      case 'usage':
+        // Counts per message; the last one reported is the running total
+        if (event.messageId || currentMessageId) {
+          messageOutputTokens.set(event.messageId || currentMessageId, event.outputTokens);
+        }
+        if (event.final && shows(opts.verbosity, 'normal')) writeLine(`${c.dim}[tokens: ${event.outputTokens}]${c.reset}`);
+        break;
+
+      case 'text':
+        writeText(event.text);
+        record('text', `${event.text}\n\n`);
+        break;
+
+      case 'text_delta':
+        // The last word may be held back, but the text has started
+        if (shows(opts.verbosity, 'normal')) stopSpinner();
+        writeDelta(textRedaction.push(event.text));
+        break;
+
+      case 'text_end':
+        writeDelta(textRedaction.flush());
+        flushText();
+        break;
+
+      case 'thinking':
+        renderThinking(event);
+        break;
+
+      case 'thinking_delta':
+        if (!thinking) startThinking();
+        appendThinking(event.text);
+        break;
+
+      case 'thinking_end':
+        if (thinking) endThinking();
+        break;
+
+      case 'tool_call':
+        renderToolUse(event);
+        break;
+
+      case 'tool_call_start': {
+        const id = beginTool(event.id, event.name);
+        // Filled in by the deltas until the whole input is there
+        pendingTools.get(id).streaming = { json: '', bytes: 0, detail: '', parsedLength: 0 };
+        resumeSpinner();
+        break;
+      }
+
+      case 'tool_call_delta': {
+        const call = pendingTools.get(event.id);
+        if (call?.streaming) {
+          call.streaming.json += event.json;
+          call.streaming.bytes += Buffer.byteLength(event.json);
+        }
+        break;
+      }
+
+      case 'tool_call_end':
+        // Fragments were redacted one by one; a secret can span them
+        renderToolUse({ ...event, input: redactor.redactValue(event.input) });
+        break;
+
+      case 'tool_result':
+        renderToolResult(event);
+        break;
+
+      case 'error': {
+        stopSpinner();
+        stats.errors++;
+        log('[ERROR]', c.red, event.message);
+        record('error', event.message);
+        break;
       }
-      if (duration) {
-        parts.push(`duration: ${formatDuration(duration)}`);
+
+      case 'message_start': {
+        messageStartTime = clock.now();
+        currentMessageId = event.id || `message-${++messageCount}`;
+        messageOutputTokens.set(currentMessageId, 0);
+        if (event.model && shows(opts.verbosity, 'normal')) {
+          lastModel = event.model;
+          writeLine(`${c.dim}[model: ${event.model}]${c.reset}`);
+        }
+        break;
       }
-      if (parts.length > 0) {
-        console.log(`${colors.dim}[stats] ${parts.join(', ')}${colors.reset}`);
+
+      case 'message_stop': {
+        stopSpinner();
+        if (shows(opts.verbosity, 'normal')) writeLine('');
+        break;
       }
-      break;
+
+      case 'notice':
+        if (shows(opts.verbosity, 'normal')) log(`[${event.source}]`, c.magenta, event.message);
+        break;
+
+      // The CLI's init event names the model and tools
+      case 'init':
+        showModel(event.model, event.tools ? `${event.tools.length} tools` : '');
+        break;
+
+      // The supervisor stopped the iteration (see supervisor.js)
+      case 'timeout':
+        stopSpinner();
+        log('[timeout]', c.red, event.message);
+        record('error', event.message);
+        break;
+
+      case 'retry':
+        showRetry(event);
+        break;
+
+      case 'result': {
+        stopSpinner();
+        const parts = [];
+        if (event.costUsd) {
+          totalCost += event.costUsd;
+          parts.push(`cost: $${event.costUsd}`);
+        }
+        if (event.usage) resultUsage = event.usage;
+        if (event.durationMs) {
+          parts.push(`duration: ${formatDuration(event.durationMs)}`);
+        }
+        if (stats.commits.length > 0) {
+          parts.push(`commits: ${stats.commits.length}`);
+        }
+        if (stats.retries.length > 0) {
+          parts.push(`attempts: ${stats.retries.length + 1}`);
+        }
+        if (parts.length > 0) {
+          writeLine(`${c.dim}[stats] ${parts.join(', ')}${c.reset}`);
+        }
+        if (opts.verbosity === 'verbose' && event.usage) {
+          writeLine(`${c.dim}[usage] ${describeUsage(event.usage)}${event.numTurns ? `, ${event.numTurns} turns` : ''}${c.reset}`);
+        }
+        const progress = planSummary();
+        if (progress) writeLine(`${c.dim}[plan] ${progress}${c.reset}`);
+        const lastRun = stats.testRuns[stats.testRuns.length - 1];
+        record('stats', [
+          ...parts,
+          ...(progress ? [`plan: ${progress}`] : []),
+          ...(lastRun ? [`tests: ${describeTestRun(lastRun)} (${lastRun.runner})`] : []),
+          `output tokens: ${iterationOutputTokens()}`,
+          `tool calls: ${stats.toolCalls}`,
+          `errors: ${stats.errors}`,
+          ...stats.commits.map(({ hash, subject }) => `commit ${hash} ${subject}`),
+        ]);
+        lastResult = event;
+        // A failed attempt may be retried; end() records whatever came last
+        if (!event.isError) recordIteration(event);
+        break;
+      }
+
+      default:
+        break;
     }
+  }
+
+  // The run controller will try again after a transient failure
+  function showRetry(event) {
+    const attempt = Number(event.attempt) || stats.retries.length + 1;
+    const delayMs = Math.max(0, Number(event.delayMs) || 0);
+    // Missing fields fall back to the verdict's generic category and its label
+    const category = event.category || 'error';
+    const message = event.message || (CATEGORIES[category] || CATEGORIES.error).message;
+    stats.retries.push({ attempt, category, delayMs });
+    lastResult = null;
+    const next = event.maxAttempts ? `attempt ${attempt + 1} of ${event.maxAttempts}` : `attempt ${attempt + 1}`;
+    const text = `${category}: ${message}; ${next} in ${formatDuration(delayMs)}`;
+    log('[retry]', c.yellow, text);
+    if (event.detail) writeLine(`  ${c.dim}${event.detail}${c.reset}`);
+    record('error', text);
+    // Counts down until the next attempt's first event
+    retryAt = clock.now() + delayMs;
+    startSpinner(() => `Retrying in ${Math.max(0, Math.ceil((retryAt - clock.now()) / 1000))}s`);
+  }
+
+  // Verbose only, and only when it changes
+  function showModel(model, detail = '') {
+    if (!model || model === lastModel || opts.verbosity !== 'verbose') return;
+    lastModel = model;
+    writeLine(`${c.dim}[model: ${model}]${detail ? ` ${detail}` : ''}${c.reset}`);
+  }
 
-    default: {
-      // Check for subagent info
-      if (data.subagent) {
-        log('[subagent]', colors.magenta, data.subagent);
+  function describeUsage(usage) {
+    const parts = [
+      `${formatTokens(usage.inputTokens)} in`,
+      `${formatTokens(usage.outputTokens || 0)} out`,
+    ];
+    if (usage.cacheReadInputTokens) parts.push(`${formatTokens(usage.cacheReadInputTokens)} cache read`);
+    if (usage.cacheCreationInputTokens) parts.push(`${formatTokens(usage.cacheCreationInputTokens)} cache write`);
+    return parts.join(' / ');
+  }
+
+  // Append this iteration to the ledger and print running session totals
+  function recordIteration(result = null) {
+    if (!ledger || stats.recorded) return;
+    stats.recorded = true;
+    const usage = result?.usage || {};
+    const record = {
+      timestamp: formatTimestamp(new Date(clock.now())),
+      branch: opts.branch,
+      iteration: opts.iteration,
+      completed: Boolean(result),
+      isError: Boolean(result?.isError),
+      costUsd: totalCost,
+      durationMs: result?.durationMs || clock.now() - stats.startTime,
+      numTurns: result?.numTurns || 0,
+      usage: {
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: iterationOutputTokens(),
+        cacheCreationInputTokens: usage.cacheCreationInputTokens || 0,
+        cacheReadInputTokens: usage.cacheReadInputTokens || 0,
+      },
+      toolCalls: stats.toolCalls,
+      toolCounts: stats.toolCounts,
+      errors: stats.errors,
+      commits: stats.commits,
+    };
+    if (stats.retries.length > 0) {
+      record.attempts = [
+        ...stats.retries.map(({ attempt, category }) => ({ attempt, category })),
+        { attempt: stats.retries.length + 1, category: classifier.verdict().category },
+      ];
+    }
+    const lastRun = stats.testRuns[stats.testRuns.length - 1];
+    if (lastRun) {
+      record.tests = { runs: stats.testRuns.length, ...lastRun };
+    }
+    const progress = plan ? plan.progress() : null;
+    if (progress?.exists) {
+      record.plan = { done: progress.done, total: progress.total, checkedOff: progress.checkedOff };
+    }
+
+    let totals;
+    try {
+      ledger.append(record);
+      totals = ledger.totals();
+    } catch (error) {
+      log('[warn]', c.yellow, `Session ledger unavailable: ${error.message}`);
+      return;
+    }
+    const cache = totals.cacheReadInputTokens + totals.cacheCreationInputTokens;
+    writeLine(`${c.dim}[session] ${totals.iterations} ${totals.iterations === 1 ? 'iteration' : 'iterations'}, ` +
+      `$${totals.costUsd.toFixed(4)}, ` +
+      `tokens ${formatTokens(totals.inputTokens)} in / ${formatTokens(totals.outputTokens)} out` +
+      `${cache ? ` / ${formatTokens(cache)} cache` : ''}, ` +
+      `${totals.toolCalls} tool calls, ${totals.errors} errors, ${formatDuration(totals.durationMs)}${c.reset}`);
+    if (record.tests) {
+      try {
+        showTestTrend(ledger.read());
+      } catch {
+        // The trend is a nicety; the totals above already made it
       }
-      break;
     }
   }
+
+  // Stop timers and hand the whole terminal back; safe to call more than once
+  function close() {
+    stopSpinner();
+    if (thinking) endThinking();
+    writeDelta(textRedaction.flush());
+    flushText();
+    if (statusBar) statusBar.disable();
+  }
+
+  // Failures set the exit code loop.sh acts on; a blocked run keeps its own
+  function showVerdict() {
+    if (aborted || verdict) return;
+    verdict = classifier.verdict();
+    if (verdict.category === 'ok') return;
+    exitCode = verdict.exitCode;
+    const color = verdict.category === 'tool-errors' ? c.yellow : c.red;
+    log('[verdict]', color, `${verdict.category}: ${verdict.message} (${verdict.retryable ? 'retryable' : 'not retryable'}, exit code ${exitCode})`);
+    if (verdict.detail) writeLine(`  ${c.dim}${verdict.detail}${c.reset}`);
+  }
+
+  function end() {
+    // An SSE event the stream ended in the middle of
+    sse.end().forEach(processMessage);
+    close();
+    showVerdict();
+    // A stream that dies before its result still counts as an iteration
+    if (ledger) {
+      if (stats.active) recordIteration(lastResult);
+      return;
+    }
+    if (totalCost > 0) {
+      writeLine(`\n${c.dim}[session total] $${totalCost.toFixed(4)}${c.reset}`);
+    }
+  }
+
+  return {
+    processLine,
+    end,
+    stopSpinner,
+    close,
+    getTotalCost: () => totalCost,
+    getExitCode: () => exitCode,
+    getVerdict: () => verdict,
+    registerRenderer: registry.register,
+  };
+}
+
+// pretty: the terminal view; normalized-ndjson: the events renderers see, one per line
+const OUTPUT_FORMATS = ['pretty', 'normalized-ndjson'];
+
+// Flags that take a value, and how to read it
+const CLI_FLAGS = {
+  '--replay': { key: 'replay' },
+  '--speed': { key: 'speed', parse: Number },
+  '--from-iteration': { key: 'fromIteration', parse: (value) => parseInt(value, 10) },
+  '--tool': { key: 'tool' },
+  '--thinking': { key: 'thinking', choices: THINKING_MODES },
+  '--subagents': { key: 'subagents', choices: SUBAGENT_MODES },
+  '--theme': { key: 'theme', choices: Object.keys(THEMES) },
+  '--verbosity': { key: 'verbosity', choices: VERBOSITY_LEVELS },
+  '--tool-verbosity': { key: 'toolVerbosity', parse: parseToolVerbosity },
+  '--format': { key: 'format', choices: OUTPUT_FORMATS },
+};
+
+const USAGE = `Usage: cat stream.json | node output-formatter.js [--verbosity quiet|normal|verbose] [--tool-verbosity Tool=level,...]
+                                                     [--thinking hide|summary|full] [--subagents nested|summary] [--theme NAME]
+       cat stream.json | node output-formatter.js --format normalized-ndjson
+       node output-formatter.js --replay <file.ndjson|dir> [--speed N | --instant] [--from-iteration N] [--tool NAME]
+       node output-formatter.js --print-config
+       node output-formatter.js --plan-summary
+       node output-formatter.js --classify < stream.json`;
+
+/**
+ * Parse CLI arguments; accepts `--flag value` and `--flag=value`.
+ * Throws on unknown flags or invalid values.
+ */
+function parseArgs(argv) {
+  const args = {
+    replay: null,
+    speed: 0,
+    fromIteration: null,
+    tool: null,
+    thinking: null,
+    subagents: null,
+    theme: null,
+    verbosity: null,
+    toolVerbosity: null,
+    format: null,
+    printConfig: false,
+    planSummary: false,
+    classify: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    if (flag === '--instant') {
+      args.speed = 0;
+      continue;
+    }
+    if (flag === '--print-config') {
+      args.printConfig = true;
+      continue;
+    }
+    if (flag === '--plan-summary') {
+      args.planSummary = true;
+      continue;
+    }
+    if (flag === '--classify') {
+      args.classify = true;
+      continue;
+    }
+    const spec = CLI_FLAGS[flag];
+    if (!spec) throw new Error(`Unknown argument: ${argv[i]}`);
+    const raw = inline !== undefined ? inline : argv[++i];
+    if (raw === undefined) throw new Error(`${flag} needs a value`);
+    const value = spec.parse ? spec.parse(raw) : raw;
+    if (Number.isNaN(value) || (typeof value === 'number' && value < 0)) {
+      throw new Error(`${flag} expects a non-negative number, got "${raw}"`);
+    }
+    if (spec.choices && !spec.choices.includes(value)) {
+      throw new Error(`${flag} expects one of ${spec.choices.join(', ')}, got "${raw}"`);
+    }
+    args[spec.key] = value;
+  }
+  return args;
+}
+
+// Every config setting (see config.js) with its built-in value
+const CONFIG_DEFAULTS = {
+  maxContentLength: DEFAULT_OPTIONS.maxContentLength,
+  maxToolInputLength: DEFAULT_OPTIONS.maxToolInputLength,
+  maxDiffLines: DEFAULT_OPTIONS.maxDiffLines,
+  maxResultLength: DEFAULT_OPTIONS.maxResultLength,
+  verbosity: DEFAULT_OPTIONS.verbosity,
+  toolVerbosity: {},
+  hiddenTools: [],
+  thinking: DEFAULT_OPTIONS.thinking,
+  subagents: DEFAULT_OPTIONS.subagents,
+  markdown: DEFAULT_OPTIONS.markdown,
+  theme: DEFAULT_OPTIONS.theme,
+  statusBar: DEFAULT_OPTIONS.statusBar,
+  redactPatterns: [],
+  logs: {
+    record: false,
+    dir: DEFAULT_LOG_DIR,
+    maxMb: DEFAULT_MAX_BYTES / (1024 * 1024),
+    keep: DEFAULT_KEEP,
+  },
+  ledgerDir: DEFAULT_LEDGER_DIR,
+  guard: {
+    rules: Object.fromEntries(Object.entries(GUARD_RULES).map(([id, rule]) => [id, rule.action])),
+    log: DEFAULT_VIOLATIONS_LOG,
+  },
+  timeouts: {
+    idleSeconds: DEFAULT_IDLE_SECONDS,
+    iterationMinutes: DEFAULT_ITERATION_MINUTES,
+  },
+  retry: {
+    maxRetries: DEFAULT_MAX_RETRIES,
+    baseSeconds: DEFAULT_RETRY_BASE_SECONDS,
+    maxSeconds: DEFAULT_RETRY_MAX_SECONDS,
+  },
+  budget: {
+    usd: null,
+    outputTokens: null,
+    minutes: null,
+    warnAt: DEFAULT_WARN_AT.map(threshold => threshold * 100),
+  },
+};
+
+// Config settings that are formatter options as they stand
+const DISPLAY_SETTINGS = [
+  'maxContentLength', 'maxToolInputLength', 'maxDiffLines', 'maxResultLength',
+  'verbosity', 'toolVerbosity', 'hiddenTools', 'thinking', 'subagents', 'markdown', 'theme', 'statusBar', 'redactPatterns',
+];
+
+const warnStderr = (message) => process.stderr.write(`[warn] ${message}\n`);
+
+/**
+ * The effective configuration: defaults, then the project config file, then
+ * RALPH_* variables, then flags. Invalid variables are skipped with a warning.
+ *
+ * @param {object} [params]
+ * @param {object} [params.args] - From parseArgs()
+ * @param {object} [params.env] - Environment, defaults to process.env
+ * @param {object} [params.fileConfig] - Validated settings from loadConfigFile()
+ * @param {Function} [params.warn] - Called with a message per ignored variable
+ */
+function resolveConfig({ args = {}, env = process.env, fileConfig = {}, warn = warnStderr } = {}) {
+  const flags = {};
+  ['verbosity', 'toolVerbosity', 'thinking', 'subagents', 'theme'].forEach(key => {
+    if (args[key]) flags[key] = args[key];
+  });
+  return mergeConfig(CONFIG_DEFAULTS, fileConfig, configFromEnv(env, warn), flags);
+}
+
+/**
+ * Formatter options for the effective config on `stream`: colour follows
+ * FORCE_COLOR/NO_COLOR/TTY, and the spinner and line wrapping only apply to a
+ * terminal.
+ */
+function displayOptions(config, env = process.env, stream = process.stdout) {
+  const tty = Boolean(stream.isTTY);
+  return {
+    ...Object.fromEntries(DISPLAY_SETTINGS.map(key => [key, config[key]])),
+    color: shouldUseColor({ env, isTTY: tty }),
+    spinner: tty,
+    width: tty ? 'auto' : null,
+  };
+}
+
+// An invalid config file should not cost the run its output; report it and go on
+function loadConfigOrWarn(dir = process.cwd()) {
+  try {
+    return loadConfigFile(dir);
+  } catch (error) {
+    process.stderr.write(`[config] Ignoring config file: ${error.message}\n`);
+    return { file: null, config: {} };
+  }
+}
+
+/**
+ * Plan status for loop.sh's session summary: progress now, the items this
+ * session checked off (from the ledger) and the next open item. Empty when
+ * there is no plan with tasks.
+ */
+function planStatus({ workspace = process.cwd(), records = [] } = {}) {
+  const { exists, done, total, next } = createPlanTracker({ workspace }).progress();
+  if (!exists || total === 0) return [];
+  const checkedOff = sessionCheckedOff(records);
+  const lines = [`Plan: ${done}/${total} tasks done${records.length > 0 ? `, +${checkedOff.length} this session` : ''}`];
+  checkedOff.forEach(text => lines.push(`  ✓ ${text}`));
+  if (next) lines.push(`Next: ${next}`);
+  return lines;
+}
+
+// Re-render a recorded session; no ledger, recorder, budget or guard side effects
+async function runReplay(args) {
+  const entries = selectEntries(loadRecording(args.replay), {
+    fromIteration: args.fromIteration,
+    tool: args.tool,
+  });
+  const config = resolveConfig({ args, fileConfig: loadConfigOrWarn().config });
+  // The calls already ran; the guard only points them out
+  const guardRules = Object.fromEntries(Object.entries(config.guard.rules)
+    .map(([rule, action]) => [rule, action === 'off' ? 'off' : 'warn']));
+  const formatter = createFormatter({ options: { ...displayOptions(config), guardRules } });
+  process.on('SIGINT', () => {
+    formatter.close();
+    process.exit(0);
+  });
+  await replay({ entries, formatter, speed: args.speed });
+}
+
+// loop.sh reads the verdict from RALPH_VERDICT_FILE when the exit code says something failed
+function writeVerdict(file, verdict) {
+  if (!file || !verdict) return;
+  try {
+    fs.writeFileSync(file, `${JSON.stringify(verdict)}\n`);
+  } catch (error) {
+    warnStderr(`Could not write the verdict: ${error.message}`);
+  }
+}
+
+// The normalized events of stdin (see stream-events.js), redacted like the pretty output
+function printNormalized() {
+  const config = resolveConfig({ fileConfig: loadConfigOrWarn().config });
+  const redactor = createRedactor({ patterns: config.redactPatterns });
+  const normalizer = createEventNormalizer();
+  const emit = (events) => events.forEach(event => process.stdout.write(`${JSON.stringify(redactor.redactValue(event))}\n`));
+  const input = readline.createInterface({ input: process.stdin, terminal: false });
+  input.on('line', line => emit(normalizer.pushLine(line)));
+  input.on('close', () => emit(normalizer.end()));
 }
 
 // Main
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  terminal: false
-});
-
-rl.on('line', processLine);
-
-rl.on('close', () => {
-  stopSpinner();
-  if (totalCost > 0) {
-    console.log(`\n${colors.dim}[session total] $${totalCost.toFixed(4)}${colors.reset}`);
-  }
-});
-
-// Handle Ctrl+C gracefully
-process.on('SIGINT', () => {
-  stopSpinner();
-  process.exit(0);
-});
+function main(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n${USAGE}\n`);
+    process.exit(2);
+  }
+
+  if (args.printConfig) {
+    try {
+      const { file, config } = loadConfigFile();
+      process.stdout.write(`${JSON.stringify({ file, config: resolveConfig({ args, fileConfig: config }) }, null, 2)}\n`);
+      process.exit(0);
+    } catch (error) {
+      process.stderr.write(`${error.message}\n`);
+      process.exit(2);
+    }
+  }
+
+  if (args.planSummary) {
+    const config = resolveConfig({ args, fileConfig: loadConfigOrWarn().config });
+    const branch = process.env.RALPH_BRANCH;
+    let records = [];
+    try {
+      records = branch ? createSessionLedger({ file: ledgerPathFor(branch, config.ledgerDir) }).read() : [];
+    } catch {
+      // No ledger (plain output): progress only
+    }
+    planStatus({ workspace: process.env.RALPH_WORKSPACE || process.cwd(), records }).forEach(line => process.stdout.write(`${line}\n`));
+    process.exit(0);
+  }
+
+  // Plain output has no formatter in the pipeline; loop.sh classifies the captured stream
+  if (args.classify) {
+    const classifier = createErrorClassifier();
+    const input = readline.createInterface({ input: process.stdin, terminal: false });
+    input.on('line', classifier.push);
+    input.on('close', () => {
+      const verdict = classifier.verdict();
+      process.stdout.write(`${JSON.stringify(verdict)}\n`);
+      process.exit(verdict.exitCode);
+    });
+    return;
+  }
+
+  if (args.format === 'normalized-ndjson') {
+    printNormalized();
+    return;
+  }
+
+  if (args.replay) {
+    runReplay(args).catch(error => {
+      process.stderr.write(`Replay failed: ${error.message}\n`);
+      process.exit(1);
+    });
+    return;
+  }
+
+  const config = resolveConfig({ args, fileConfig: loadConfigOrWarn().config });
+  const workspace = process.env.RALPH_WORKSPACE || process.cwd();
+  const branch = process.env.RALPH_BRANCH || null;
+  const iteration = parseInt(process.env.RALPH_ITERATION, 10) || null;
+  // loop.sh exports RALPH_BRANCH; without it there is no session to track
+  const ledger = branch
+    ? createSessionLedger({ file: ledgerPathFor(branch, config.ledgerDir) })
+    : null;
+  const sessionStart = parseInt(process.env.RALPH_SESSION_START, 10);
+  let recorder = null;
+  if (config.logs.record) {
+    try {
+      recorder = createRecorder({
+        dir: config.logs.dir,
+        branch: branch || 'local',
+        iteration,
+        maxBytes: config.logs.maxMb * 1024 * 1024,
+        keep: config.logs.keep,
+      });
+    } catch (error) {
+      process.stderr.write(`[warn] Recording disabled: ${error.message}\n`);
+    }
+  }
+
+  let rl = null;
+  const formatter = createFormatter({
+    ledger,
+    recorder,
+    violationLog: createViolationLog({ file: config.guard.log }),
+    plan: createPlanTracker({ workspace }),
+    options: {
+      ...displayOptions(config),
+      guardRules: config.guard.rules,
+      workspace,
+      branch,
+      iteration,
+      budget: budgetFromConfig(config.budget),
+      sessionStartTime: sessionStart ? sessionStart * 1000 : null,
+    },
+    // Stop reading so the pipeline unwinds, then exit with the formatter's code
+    onAbort: (code) => {
+      process.exitCode = code;
+      rl.close();
+      process.stdin.destroy();
+    },
+  });
+
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: false
+  });
+
+  rl.on('line', formatter.processLine);
+
+  rl.on('close', () => {
+    formatter.end();
+    process.exitCode = formatter.getExitCode();
+    writeVerdict(process.env.RALPH_VERDICT_FILE, formatter.getVerdict());
+  });
+
+  // Handle Ctrl+C gracefully; never leave the scroll region behind
+  process.on('SIGINT', () => {
+    formatter.close();
+    process.exit(0);
+  });
+  process.on('exit', formatter.close);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createFormatter,
+  parseArgs,
+  parseToolVerbosity,
+  resolveConfig,
+  loadConfigOrWarn,
+  displayOptions,
+  planStatus,
+  truncate,
+  formatDuration,
+  formatTimestamp,
+  formatSize,
+  formatTokens,
+  toolResultText,
+  colors,
+  noColors,
+  THEMES,
+  systemClock,
+  DEFAULT_OPTIONS,
+  CONFIG_DEFAULTS,
+  THINKING_MODES,
+  SUBAGENT_MODES,
+  VERBOSITY_LEVELS,
+  OUTPUT_FORMATS,
+  MAX_CONTENT_LENGTH,
+  MAX_TOOL_INPUT_LENGTH,
+};
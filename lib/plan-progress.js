@@ -0,0 +1,144 @@
+/**
+ * Ralph Plan Progress
+ *
+ * Follows IMPLEMENTATION_PLAN.md through the tool calls that change it. The
+ * plan is read when the iteration starts and read again after each successful
+ * Write/Edit/MultiEdit on it, or Bash command that names it, so checked-off
+ * items show up as they happen. The file on disk is the source of truth: tool
+ * inputs can be redacted, and edits can fail without saying so.
+ *
+ * Tasks are checkbox items (`- [ ]` / `- [x]`, any depth). Plans without
+ * checkboxes count their top-level bullets instead. Items under a heading such
+ * as "Completed" or "Done" count as done either way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PLAN_FILE = 'IMPLEMENTATION_PLAN.md';
+
+const HEADING = /^#{1,6}\s+(.*?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+const CHECKBOX = /^\s*(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.*)$/;
+const BULLET = /^(?:[-*+]|\d+[.)])\s+(.*)$/;
+const DONE_SECTION = /\b(?:completed?|done|finished)\b/i;
+
+// Items are matched across versions of the plan by their text
+const itemKey = (text) => text.replace(/\s+/g, ' ').trim();
+
+function readPlan(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} text - Plan Markdown
+ * @returns {{ sections: Array<{ title: string, items: object[] }>, items: Array<{ text: string, done: boolean, section: string }>, done: number, total: number }}
+ */
+function parsePlan(text) {
+  const sections = [{ title: '', items: [] }];
+  const bullets = [];
+  let checkboxes = 0;
+  let fenced = false;
+
+  String(text || '').split('\n').forEach(line => {
+    if (FENCE.test(line)) fenced = !fenced;
+    if (fenced) return;
+    const heading = line.match(HEADING);
+    if (heading) {
+      sections.push({ title: heading[1], items: [] });
+      return;
+    }
+    const section = sections[sections.length - 1];
+    const inDoneSection = DONE_SECTION.test(section.title);
+    const checkbox = line.match(CHECKBOX);
+    if (checkbox) {
+      checkboxes++;
+      section.items.push({ text: itemKey(checkbox[2]), done: checkbox[1] !== ' ' || inDoneSection, section: section.title });
+      return;
+    }
+    const bullet = line.match(BULLET);
+    if (bullet && itemKey(bullet[1])) {
+      bullets.push({ section, item: { text: itemKey(bullet[1]), done: inDoneSection, section: section.title } });
+    }
+  });
+
+  // Alongside checkboxes, plain bullets are notes unless they record finished work
+  bullets
+    .filter(({ item }) => checkboxes === 0 || item.done)
+    .forEach(({ section, item }) => section.items.push(item));
+
+  const items = sections.flatMap(section => section.items);
+  return {
+    sections: sections.filter(section => section.items.length > 0),
+    items,
+    done: items.filter(item => item.done).length,
+    total: items.length,
+  };
+}
+
+const FILE_TOOLS = ['Write', 'Edit', 'MultiEdit'];
+
+/**
+ * @param {object} [params]
+ * @param {string} [params.workspace] - Where the plan lives; relative tool paths resolve against it
+ * @param {string} [params.file] - Plan file name
+ * @param {Function} [params.read] - (absolutePath) => text or null
+ * @returns {{ targets(toolName: string, input: object): boolean, refresh(): string[], progress(): object }}
+ */
+function createPlanTracker({ workspace = process.cwd(), file = PLAN_FILE, read = readPlan } = {}) {
+  const planPath = path.resolve(workspace, file);
+  let content = read(planPath);
+  let plan = parsePlan(content);
+  // Checked off during this iteration; kept when a later cleanup removes the item
+  const checkedOff = new Set();
+
+  function targets(toolName, input) {
+    // sed -i, git checkout, cat > ... - any command that names the plan may change it
+    if (toolName === 'Bash') return typeof input?.command === 'string' && input.command.includes(path.basename(planPath));
+    return FILE_TOOLS.includes(toolName) && typeof input?.file_path === 'string'
+      && path.resolve(workspace, input.file_path) === planPath;
+  }
+
+  // Reads the plan again; returns the items checked off since the last read
+  function refresh() {
+    const next = read(planPath);
+    if (next === null) return [];
+    const doneBefore = new Set(plan.items.filter(item => item.done).map(item => item.text));
+    content = next;
+    plan = parsePlan(content);
+    plan.items.filter(item => !item.done).forEach(item => checkedOff.delete(item.text));
+    const checked = plan.items.filter(item => item.done && !doneBefore.has(item.text)).map(item => item.text);
+    checked.forEach(text => checkedOff.add(text));
+    return checked;
+  }
+
+  function progress() {
+    return {
+      exists: content !== null,
+      done: plan.done,
+      total: plan.total,
+      checkedOff: Array.from(checkedOff),
+      next: plan.items.find(item => !item.done)?.text || null,
+    };
+  }
+
+  return { targets, refresh, progress };
+}
+
+// Items checked off over a session, from the ledger's per-iteration `plan` records
+function sessionCheckedOff(records) {
+  const seen = new Set();
+  records.forEach(record => (record.plan?.checkedOff || []).forEach(text => seen.add(text)));
+  return Array.from(seen);
+}
+
+module.exports = {
+  createPlanTracker,
+  parsePlan,
+  sessionCheckedOff,
+  PLAN_FILE,
+};
@@ -0,0 +1,209 @@
+/**
+ * Ralph Iteration Recorder
+ *
+ * Keeps an audit trail of each iteration once the terminal has scrolled away:
+ *   .ralph/logs/<branch>/iteration-N.ndjson  raw events as received
+ *   .ralph/logs/<branch>/iteration-N.md      readable Markdown transcript
+ *
+ * JSON events get a `_ts` (epoch ms) field so replays can honour the original
+ * timing; anything else (stderr noise, SSE framing) is wrapped as
+ * { type: '_raw', _ts, text }. Files stop growing at `maxBytes`, and only the
+ * newest `keep` iterations per branch are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sanitizeBranch } = require('./session-ledger');
+
+const DEFAULT_LOG_DIR = path.join('.ralph', 'logs');
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+const DEFAULT_KEEP = 100;
+const MAX_RESULT_CHARS = 2000;
+
+const ITERATION_FILE = /^iteration-(\d+)\.(ndjson|md)$/;
+
+function listIterations(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const numbers = new Set();
+  entries.forEach(name => {
+    const match = ITERATION_FILE.exec(name);
+    if (match) numbers.add(parseInt(match[1], 10));
+  });
+  return Array.from(numbers).sort((a, b) => a - b);
+}
+
+// Delete all but the newest `keep` iterations
+function rotate(dir, keep) {
+  const iterations = listIterations(dir);
+  iterations.slice(0, Math.max(0, iterations.length - keep)).forEach(number => {
+    ['ndjson', 'md'].forEach(ext => {
+      fs.rmSync(path.join(dir, `iteration-${number}.${ext}`), { force: true });
+    });
+  });
+}
+
+// Wrap a raw line for the NDJSON log
+function toLogLine(line, ts) {
+  try {
+    const data = JSON.parse(line);
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      return JSON.stringify({ ...data, _ts: ts });
+    }
+  } catch {
+    // Not JSON - wrapped below
+  }
+  return JSON.stringify({ type: '_raw', _ts: ts, text: line });
+}
+
+// Undo toLogLine: the line the formatter originally saw, plus its timestamp
+function fromLogLine(line) {
+  let data;
+  try {
+    data = JSON.parse(line);
+  } catch {
+    return { line, ts: null };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { line, ts: null };
+  const ts = typeof data._ts === 'number' ? data._ts : null;
+  if (data.type === '_raw') return { line: String(data.text ?? ''), ts };
+  if (ts === null) return { line, ts };
+  const { _ts, ...event } = data;
+  return { line: JSON.stringify(event), ts };
+}
+
+function fence(text) {
+  // A fence longer than any backtick run inside the text
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longest + 1);
+  return `${marker}text\n${text}\n${marker}`;
+}
+
+// Appends to one file until it reaches maxBytes, then notes the cut once
+function createCappedFile(file, maxBytes, notice) {
+  let bytes = 0;
+  let capped = false;
+  return {
+    file,
+    write(text) {
+      if (capped) return;
+      const size = Buffer.byteLength(text);
+      if (bytes + size > maxBytes) {
+        capped = true;
+        fs.appendFileSync(file, notice);
+        return;
+      }
+      bytes += size;
+      fs.appendFileSync(file, text);
+    },
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} [params.dir] - Log root; a directory per branch is created inside it
+ * @param {string} [params.branch] - Ralph branch name
+ * @param {number} [params.iteration] - Iteration number; defaults to one past the newest on disk
+ * @param {number} [params.maxBytes] - Size cap per file
+ * @param {number} [params.keep] - Iterations kept per branch
+ * @param {Function} [params.now] - Clock, epoch ms
+ */
+function createRecorder({
+  dir = DEFAULT_LOG_DIR,
+  branch = 'local',
+  iteration = null,
+  maxBytes = DEFAULT_MAX_BYTES,
+  keep = DEFAULT_KEEP,
+  now = () => Date.now(),
+} = {}) {
+  const branchDir = path.join(dir, sanitizeBranch(branch));
+  fs.mkdirSync(branchDir, { recursive: true });
+
+  const number = iteration || (listIterations(branchDir).pop() || 0) + 1;
+  const base = path.join(branchDir, `iteration-${number}`);
+  const events = createCappedFile(`${base}.ndjson`, maxBytes,
+    JSON.stringify({ type: '_raw', _ts: now(), text: `[recorder] log truncated at ${maxBytes} bytes` }) + '\n');
+  const transcript = createCappedFile(`${base}.md`, maxBytes,
+    `\n\n> Transcript truncated at ${maxBytes} bytes\n`);
+  // Start fresh if this iteration number is being re-run
+  fs.writeFileSync(events.file, '');
+  fs.writeFileSync(transcript.file, '');
+  rotate(branchDir, keep);
+
+  // Streamed text arrives in pieces; only open a section when needed
+  let section = null;
+  let tail = '';
+
+  function append(text) {
+    if (!text) return;
+    transcript.write(text);
+    tail = (tail + text).slice(-2);
+  }
+
+  // Leave exactly one blank line before the next Markdown block
+  function startBlock(name = null) {
+    section = name;
+    if (tail) append(tail.endsWith('\n\n') ? '' : tail.endsWith('\n') ? '\n' : '\n\n');
+  }
+
+  append(`# Ralph iteration ${number}\n\n` +
+    `- Branch: \`${branch}\`\n` +
+    `- Started: ${new Date(now()).toISOString()}\n`);
+
+  return {
+    iteration: number,
+    files: { events: events.file, transcript: transcript.file },
+
+    event(line) {
+      events.write(toLogLine(line, now()) + '\n');
+    },
+
+    text(text) {
+      if (section !== 'Assistant') {
+        startBlock('Assistant');
+        append('## Assistant\n\n');
+      }
+      append(text);
+    },
+
+    toolUse(name, renderedLines) {
+      startBlock();
+      append(`### Tool: ${name}\n\n${fence(renderedLines.join('\n'))}\n`);
+    },
+
+    toolResult(name, isError, content, duration) {
+      startBlock();
+      const label = isError ? 'Error' : 'Result';
+      const body = content.length > MAX_RESULT_CHARS
+        ? `${content.substring(0, MAX_RESULT_CHARS)}\n... (truncated)`
+        : content;
+      append(`**${label}** (${name}${duration ? `, ${duration}` : ''})\n`);
+      if (body) append(`\n${fence(body)}\n`);
+    },
+
+    error(message) {
+      startBlock();
+      append(`**Error:** ${message}\n`);
+    },
+
+    stats(lines) {
+      startBlock();
+      append(`## Stats\n\n${lines.map(line => `- ${line}`).join('\n')}\n`);
+    },
+  };
+}
+
+module.exports = {
+  createRecorder,
+  listIterations,
+  toLogLine,
+  fromLogLine,
+  DEFAULT_LOG_DIR,
+  DEFAULT_MAX_BYTES,
+  DEFAULT_KEEP,
+};
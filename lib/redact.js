@@ -0,0 +1,129 @@
+/**
+ * Ralph Secret Redaction
+ *
+ * Masks credentials before the formatter shows or records anything: API keys
+ * (Anthropic, OpenAI), GitHub tokens, AWS access key ids, private key blocks,
+ * JWTs, values assigned to variables named like *_KEY / *_TOKEN / *_SECRET,
+ * and any project patterns (`redactPatterns` in the config file).
+ *
+ * Streamed text can split a secret across chunks, so createStream() holds
+ * back the trailing word (or an open private key block) until it is complete.
+ */
+
+const MASK = '[REDACTED]';
+
+const PRIVATE_KEY_BEGIN = /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----/;
+const PRIVATE_KEY_END = /-----END [A-Z0-9 ]*PRIVATE KEY-----/;
+// Longest END marker worth waiting for when it arrives in pieces
+const MAX_MARKER_LENGTH = 64;
+
+// Built-in detectors, applied in order; `replace` defaults to the mask
+const SECRET_DETECTORS = [
+  {
+    // An unterminated block (truncated output, `head` of a key file) is masked to the end
+    name: 'private-key',
+    pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY-----|$)/g,
+  },
+  { name: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: 'openai-key', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  {
+    // API_KEY=..., export GITHUB_TOKEN="...", "AWS_SECRET_ACCESS_KEY": "..."; the name stays visible
+    name: 'secret-variable',
+    pattern: /\b([A-Z][A-Z0-9_]*_(?:KEY|TOKEN|SECRET))(["']?[ \t]*[=:][ \t]*)(["']?)([^\s"'`,;]+)/g,
+    replace: `$1$2$3${MASK}`,
+  },
+];
+
+/**
+ * @param {object} [params]
+ * @param {string[]} [params.patterns] - Extra regular expression sources; whole matches are masked
+ * @returns {{ redact(text: string): string, redactValue(value: any): any, createStream(): { push(chunk: string): string, flush(): string } }}
+ */
+function createRedactor({ patterns = [] } = {}) {
+  const detectors = [
+    ...SECRET_DETECTORS,
+    ...patterns.map(source => ({ name: 'pattern', pattern: new RegExp(source, 'g') })),
+  ];
+
+  function redact(text) {
+    if (typeof text !== 'string' || text === '') return text;
+    return detectors.reduce((masked, { pattern, replace = MASK }) => masked.replace(pattern, replace), text);
+  }
+
+  // Every string in a parsed event; unchanged values keep their identity
+  function redactValue(value) {
+    if (typeof value === 'string') return redact(value);
+    if (Array.isArray(value)) {
+      const items = value.map(redactValue);
+      return items.some((item, i) => item !== value[i]) ? items : value;
+    }
+    if (value && typeof value === 'object') {
+      let changed = false;
+      const entries = Object.entries(value).map(([key, entry]) => {
+        const clean = redactValue(entry);
+        if (clean !== entry) changed = true;
+        return [key, clean];
+      });
+      return changed ? Object.fromEntries(entries) : value;
+    }
+    return value;
+  }
+
+  // Redact text that arrives in chunks; push() returns what is safe to show
+  function createStream() {
+    let pending = '';
+    let inPrivateKey = false;
+
+    function take(chunk, final) {
+      let text = pending + chunk;
+      pending = '';
+      let out = '';
+
+      for (;;) {
+        if (inPrivateKey) {
+          const end = text.match(PRIVATE_KEY_END);
+          if (!end) {
+            // Everything up to the END marker is dropped; keep enough to spot a split marker
+            if (!final) pending = text.slice(-MAX_MARKER_LENGTH);
+            return out;
+          }
+          text = text.substring(end.index + end[0].length);
+          inPrivateKey = false;
+          continue;
+        }
+        const begin = text.match(PRIVATE_KEY_BEGIN);
+        if (!begin) break;
+        out += `${redact(text.substring(0, begin.index))}${MASK}`;
+        text = text.substring(begin.index + begin[0].length);
+        inPrivateKey = true;
+      }
+
+      if (!final) {
+        // A BEGIN marker still arriving, or a word a secret may continue
+        const openMarker = text.search(/-----BEGIN[^\n]*$/);
+        const cut = openMarker !== -1 ? openMarker : text.search(/\S+$/);
+        if (cut !== -1) {
+          pending = text.substring(cut);
+          text = text.substring(0, cut);
+        }
+      }
+      return out + redact(text);
+    }
+
+    return {
+      push: (chunk) => take(chunk, false),
+      flush: () => take('', true),
+    };
+  }
+
+  return { redact, redactValue, createStream };
+}
+
+module.exports = {
+  createRedactor,
+  SECRET_DETECTORS,
+  MASK,
+};
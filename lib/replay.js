@@ -0,0 +1,138 @@
+/**
+ * Ralph Session Replay
+ *
+ * Feeds a recorded stream back through the pretty formatter:
+ *   node lib/output-formatter.js --replay .ralph/logs/<branch>/iteration-3.ndjson
+ *   node lib/output-formatter.js --replay .ralph/logs/<branch> --from-iteration 5 --speed 4
+ *   node lib/output-formatter.js --replay capture.json --tool Bash
+ *
+ * Accepts recorder logs (with `_ts` timing), plain stream-json captures, or a
+ * recorder directory (iteration-*.ndjson in order). Without --speed events are
+ * replayed instantly; --speed N plays them at N× the recorded pace.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fromLogLine, listIterations } = require('./recorder');
+
+function parseEvent(line) {
+  try {
+    const data = JSON.parse(line);
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// Blank lines are kept: they end the events of a raw SSE capture
+function readLines(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Load a recording into [{ line, ts, iteration }].
+ *
+ * Directories use the iteration number from each file name. Within a single
+ * file, a new iteration starts at a system init event or after a result.
+ */
+function loadRecording(source) {
+  if (fs.statSync(source).isDirectory()) {
+    return listIterations(source).flatMap(iteration => {
+      const file = path.join(source, `iteration-${iteration}.ndjson`);
+      if (!fs.existsSync(file)) return [];
+      return readLines(file).map(raw => ({ ...fromLogLine(raw), iteration }));
+    });
+  }
+
+  let iteration = 1;
+  let eventsInIteration = 0;
+  let sawResult = false;
+  return readLines(source).map(raw => {
+    const entry = fromLogLine(raw);
+    const data = parseEvent(entry.line);
+    const isInit = data?.type === 'system' && data.subtype === 'init';
+    if (data && ((sawResult && data.type !== 'result') || (isInit && eventsInIteration > 0))) {
+      iteration++;
+      eventsInIteration = 0;
+      sawResult = false;
+    }
+    if (data) {
+      eventsInIteration++;
+      if (data.type === 'result') sawResult = true;
+    }
+    return { ...entry, iteration };
+  });
+}
+
+// Keep only one tool's calls and results (plus errors) from an entry
+function filterTool(entry, tool, toolIds) {
+  const data = parseEvent(entry.line);
+  if (!data) return null;
+
+  if (data.type === 'error') return entry;
+  if (data.type === 'tool_use') {
+    if (data.name !== tool) return null;
+    if (data.id) toolIds.add(data.id);
+    return entry;
+  }
+  if (data.type === 'tool_result') {
+    return !data.tool_use_id || toolIds.has(data.tool_use_id) ? entry : null;
+  }
+
+  const content = data.message?.content;
+  if (!Array.isArray(content)) return null;
+  const blocks = content.filter(block => {
+    if (block.type === 'tool_use' && block.name === tool) {
+      toolIds.add(block.id);
+      return true;
+    }
+    return block.type === 'tool_result' && toolIds.has(block.tool_use_id);
+  });
+  if (blocks.length === 0) return null;
+  return { ...entry, line: JSON.stringify({ ...data, message: { ...data.message, content: blocks } }) };
+}
+
+/**
+ * @param {object[]} entries - From loadRecording()
+ * @param {object} [filters]
+ * @param {number} [filters.fromIteration] - Skip earlier iterations
+ * @param {string} [filters.tool] - Only this tool's calls and results
+ */
+function selectEntries(entries, { fromIteration = null, tool = null } = {}) {
+  const toolIds = new Set();
+  return entries
+    .filter(entry => !fromIteration || entry.iteration >= fromIteration)
+    .map(entry => (tool ? filterTool(entry, tool, toolIds) : entry))
+    .filter(Boolean);
+}
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Play entries into a formatter.
+ *
+ * @param {object} params
+ * @param {object[]} params.entries
+ * @param {{ processLine(line: string): void, end(): void }} params.formatter
+ * @param {number} [params.speed] - Timing multiplier; 0 or unset replays instantly
+ * @param {Function} [params.sleep] - Async delay, injectable for tests
+ */
+async function replay({ entries, formatter, speed = 0, sleep = defaultSleep }) {
+  let previousTs = null;
+  for (const entry of entries) {
+    if (speed > 0 && entry.ts !== null && previousTs !== null && entry.ts > previousTs) {
+      await sleep((entry.ts - previousTs) / speed);
+    }
+    if (entry.ts !== null) previousTs = entry.ts;
+    formatter.processLine(entry.line);
+  }
+  formatter.end();
+}
+
+module.exports = {
+  loadRecording,
+  selectEntries,
+  replay,
+};
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Ralph Run Controller
+ *
+ * Runs one iteration's `claude -p` under the supervisor (see supervisor.js)
+ * and tries again when it dies on a transient API failure: a 429/529
+ * overload, a dropped proxy connection or a LiteLLM 5xx. Failures are
+ * classified from the stream and stderr (see error-classifier.js). Retries back off
+ * exponentially with jitter, up to retry.maxRetries.
+ *
+ * Before each retry a `system`/`retry` event goes into the stream, so the
+ * formatter can count down to it and the iteration stats list every attempt.
+ *
+ * Usage: echo "$PROMPT" | node run-controller.js [--max-retries N] -- claude -p ...
+ */
+
+const { Readable, Writable } = require('stream');
+const { supervise, parseCommandArgs, TIMEOUT_FLAGS } = require('./supervisor');
+const { createErrorClassifier } = require('./error-classifier');
+
+// Verdicts worth another attempt with the same prompt
+const RETRY_CATEGORIES = ['rate-limit', 'connection', 'server-error'];
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_SECONDS = 10;
+const DEFAULT_RETRY_MAX_SECONDS = 300;
+
+/**
+ * Delay before retry number `retry` (1-based): doubling from baseMs, capped
+ * at maxMs, with the upper half randomised so parallel loops spread out.
+ */
+function backoffDelay(retry, { baseMs, maxMs }, random = Math.random) {
+  const step = Math.min(maxMs, baseMs * 2 ** (retry - 1));
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+// Passes output through and hands each complete line to onLine
+function createLineTee(output, onLine) {
+  let partial = '';
+  const tee = new Writable({
+    write(chunk, encoding, callback) {
+      output.write(chunk);
+      const lines = (partial + chunk.toString()).split('\n');
+      partial = lines.pop();
+      lines.forEach(onLine);
+      callback();
+    },
+  });
+  tee.flushLine = () => {
+    if (partial) onLine(partial);
+    partial = '';
+  };
+  return tee;
+}
+
+/**
+ * Run the command until it succeeds, fails for good or runs out of retries.
+ *
+ * @param {object} params
+ * @param {string} params.command
+ * @param {string[]} [params.args]
+ * @param {string} [params.input] - Sent to every attempt's stdin (the prompt)
+ * @param {object} [params.stdout]
+ * @param {object} [params.stderr]
+ * @param {object} [params.retry] - { maxRetries, baseMs, maxMs }
+ * @param {object} [params.timeouts] - { idleMs, iterationMs } for the supervisor
+ * @param {Function} [params.sleep] - (ms, signal) => Promise; resolves early when signal.aborted
+ * @param {Function} [params.random]
+ * @param {Function} [params.run] - supervise() or a stand-in
+ * @returns {{ stop(signal?: string): void, done: Promise<{ exitCode: number, verdict: object, attempts: object[] }> }}
+ */
+function runWithRetries({
+  command,
+  args = [],
+  input = '',
+  stdout = process.stdout,
+  stderr = process.stderr,
+  retry = {},
+  timeouts = {},
+  sleep = wait,
+  random = Math.random,
+  run = supervise,
+}) {
+  const { maxRetries = DEFAULT_MAX_RETRIES, baseMs = DEFAULT_RETRY_BASE_SECONDS * 1000, maxMs = DEFAULT_RETRY_MAX_SECONDS * 1000 } = retry;
+  const cancel = new AbortController();
+  let current = null;
+
+  async function attemptAll() {
+    const attempts = [];
+    for (let attempt = 1; ; attempt++) {
+      const classifier = createErrorClassifier();
+      // Connection and auth failures can show up on stderr only
+      const tee = createLineTee(stdout, classifier.push);
+      const errorTee = createLineTee(stderr, classifier.push);
+      current = run({ command, args, stdin: Readable.from([input]), stdout: tee, stderr: errorTee, ...timeouts });
+      const { exitCode } = await current.done;
+      current = null;
+      tee.flushLine();
+      errorTee.flushLine();
+      const verdict = classifier.verdict();
+      attempts.push({ attempt, category: verdict.category, exitCode });
+
+      if (!RETRY_CATEGORIES.includes(verdict.category) || attempt > maxRetries || cancel.signal.aborted) {
+        return { exitCode, verdict, attempts };
+      }
+      const delayMs = backoffDelay(attempt, { baseMs, maxMs }, random);
+      stdout.write(`${JSON.stringify({
+        type: 'system',
+        subtype: 'retry',
+        attempt,
+        max_attempts: maxRetries + 1,
+        delay_ms: delayMs,
+        category: verdict.category,
+        message: verdict.message,
+        detail: verdict.detail,
+      })}\n`);
+      await sleep(delayMs, cancel.signal);
+      if (cancel.signal.aborted) return { exitCode, verdict, attempts };
+    }
+  }
+
+  function stop(signal = 'SIGTERM') {
+    cancel.abort();
+    if (current) current.stop(signal);
+  }
+
+  return { stop, done: attemptAll() };
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+const USAGE = 'Usage: node run-controller.js [--max-retries N] [--idle-timeout SECONDS] [--iteration-timeout MINUTES] -- command [args...]';
+
+// Retry and timeout flags, then `--` and the command
+function parseArgs(argv) {
+  return parseCommandArgs(argv, { '--max-retries': 'maxRetries', ...TIMEOUT_FLAGS });
+}
+
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      text += chunk;
+    });
+    stream.on('end', () => resolve(text));
+    stream.on('error', reject);
+  });
+}
+
+// Main
+async function main(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n${USAGE}\n`);
+    process.exit(2);
+  }
+
+  // Flags win over the project config and RALPH_* variables
+  const { resolveConfig, loadConfigOrWarn } = require('./output-formatter');
+  const config = resolveConfig({ fileConfig: loadConfigOrWarn().config });
+  const idleSeconds = args.idleSeconds ?? config.timeouts.idleSeconds;
+  const iterationMinutes = args.iterationMinutes ?? config.timeouts.iterationMinutes;
+
+  // Every attempt gets the same prompt
+  const input = await readAll(process.stdin);
+  const controller = runWithRetries({
+    command: args.command,
+    args: args.commandArgs,
+    input,
+    retry: {
+      maxRetries: args.maxRetries ?? config.retry.maxRetries,
+      baseMs: config.retry.baseSeconds * 1000,
+      maxMs: config.retry.maxSeconds * 1000,
+    },
+    timeouts: {
+      idleMs: idleSeconds ? idleSeconds * 1000 : null,
+      iterationMs: iterationMinutes ? iterationMinutes * 60 * 1000 : null,
+    },
+  });
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => controller.stop(signal)));
+  // The formatter stopped reading (budget, guard): no point in another attempt
+  process.stdout.on('error', () => controller.stop('SIGTERM'));
+  const { exitCode } = await controller.done;
+  process.exit(exitCode);
+}
+
+module.exports = {
+  runWithRetries,
+  backoffDelay,
+  parseArgs,
+  RETRY_CATEGORIES,
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_RETRY_BASE_SECONDS,
+  DEFAULT_RETRY_MAX_SECONDS,
+};
+
+if (require.main === module) {
+  main();
+}
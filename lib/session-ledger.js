@@ -0,0 +1,103 @@
+/**
+ * Ralph Session Ledger
+ *
+ * Each loop iteration runs a fresh formatter process, so in-memory totals die
+ * with it. The ledger appends one JSON record per iteration to a file keyed by
+ * the Ralph branch, and sums the file back up for running session totals.
+ *
+ * Default location: <workspace>/.ralph/ledger/<branch>.ndjson
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LEDGER_DIR = path.join('.ralph', 'ledger');
+
+// Branch names contain slashes (ralph/<workspace>-<timestamp>)
+function sanitizeBranch(branch) {
+  return String(branch).replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'session';
+}
+
+function ledgerPathFor(branch, dir = DEFAULT_LEDGER_DIR) {
+  return path.join(dir, `${sanitizeBranch(branch)}.ndjson`);
+}
+
+function emptyTotals() {
+  return {
+    iterations: 0,
+    costUsd: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 0,
+    durationMs: 0,
+    toolCalls: 0,
+    errors: 0,
+  };
+}
+
+function summarizeRecords(records) {
+  return records.reduce((totals, record) => {
+    const usage = record.usage || {};
+    totals.iterations += 1;
+    totals.costUsd += record.costUsd || 0;
+    totals.inputTokens += usage.inputTokens || 0;
+    totals.outputTokens += usage.outputTokens || 0;
+    totals.cacheCreationInputTokens += usage.cacheCreationInputTokens || 0;
+    totals.cacheReadInputTokens += usage.cacheReadInputTokens || 0;
+    totals.durationMs += record.durationMs || 0;
+    totals.toolCalls += record.toolCalls || 0;
+    totals.errors += record.errors || 0;
+    return totals;
+  }, emptyTotals());
+}
+
+/**
+ * Open (lazily) an append-only ledger file.
+ *
+ * @param {object} params
+ * @param {string} params.file - Ledger path; parent directories are created on first append
+ * @returns {{ file: string, append(record: object): void, read(): object[], totals(): object }}
+ */
+function createSessionLedger({ file }) {
+  function append(record) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+  }
+
+  // A half-written line from a killed process must not poison the totals
+  function read() {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return text.split('\n').reduce((records, line) => {
+      if (!line.trim()) return records;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Skip malformed line
+      }
+      return records;
+    }, []);
+  }
+
+  return {
+    file,
+    append,
+    read,
+    totals: () => summarizeRecords(read()),
+  };
+}
+
+module.exports = {
+  createSessionLedger,
+  ledgerPathFor,
+  sanitizeBranch,
+  summarizeRecords,
+  emptyTotals,
+  DEFAULT_LEDGER_DIR,
+};
@@ -0,0 +1,109 @@
+/**
+ * Ralph SSE
+ *
+ * Server-Sent Events framing, for streams read straight from the API proxy
+ * (LiteLLM on port 4000/4001) or the Anthropic API, live or captured:
+ *   curl -sN http://localhost:4000/v1/messages ... | node lib/output-formatter.js
+ *
+ * Lines are parsed as the HTML spec describes: `event:`, `data:`, `id:` and
+ * `retry:` fields, `:` comments (keep-alives), and a blank line to dispatch
+ * the event. Several `data:` lines make one payload, joined by newlines. The
+ * last event id carries over to later events, and `retry` is kept only when
+ * it is a whole number of milliseconds.
+ *
+ * The formatter's input also carries plain stream-json and proxy errors, so
+ * any other line passes through on its own, after the event in progress. An
+ * event the stream ends in the middle of is still dispatched.
+ */
+
+const SSE_FIELD = /^(?:event|data|id|retry)(?::|$)/;
+
+/**
+ * @returns {{ push(line: string): object[], end(): object[] }}
+ *   Messages are { event, data, id, retry } for SSE events and { data } for
+ *   other lines
+ */
+function createSseParser() {
+  let eventName = '';
+  let dataLines = [];
+  let lastEventId = null;
+  let retry = null;
+
+  function dispatch() {
+    const pending = dataLines;
+    const name = eventName;
+    dataLines = [];
+    eventName = '';
+    // Events without data are not dispatched
+    if (pending.length === 0) return [];
+    return [{ event: name || 'message', data: pending.join('\n'), id: lastEventId, retry }];
+  }
+
+  function field(name, value) {
+    switch (name) {
+      case 'event':
+        eventName = value;
+        break;
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'id':
+        if (!value.includes('\0')) lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) retry = Number(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function push(line) {
+    const text = String(line).replace(/\r$/, '');
+    if (!text.trim()) return dispatch();
+    if (text.startsWith(':')) return [];
+    if (!SSE_FIELD.test(text)) {
+      return [...dispatch(), { data: text }];
+    }
+    const colon = text.indexOf(':');
+    if (colon === -1) {
+      field(text, '');
+    } else {
+      const value = text.substring(colon + 1);
+      field(text.substring(0, colon), value.startsWith(' ') ? value.substring(1) : value);
+    }
+    return [];
+  }
+
+  return { push, end: dispatch };
+}
+
+/**
+ * What a message carries: { data } for JSON, { text } for anything else,
+ * { done: true } for the `[DONE]` that ends OpenAI streams, or null for
+ * pings.
+ *
+ * @param {{ event?: string, data: string }} message - From createSseParser()
+ */
+function decodeMessage(message) {
+  if (message.event === 'ping') return null;
+  const text = message.data;
+  if (message.event && text.trim() === '[DONE]') return { done: true };
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // The proxy's error events can be plain text
+    if (message.event === 'error') return { data: { type: 'error', error: { message: text } } };
+    return { text };
+  }
+  if (message.event === 'error' && data && typeof data === 'object' && !data.type && !data.error) {
+    return { data: { type: 'error', error: { message: typeof data.message === 'string' ? data.message : text } } };
+  }
+  return { data };
+}
+
+module.exports = {
+  createSseParser,
+  decodeMessage,
+};
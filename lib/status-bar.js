@@ -0,0 +1,126 @@
+/**
+ * Ralph Status Bar
+ *
+ * Pins a one-line dashboard to the bottom row of a TTY. A scroll region
+ * (DECSTBM) keeps all other output scrolling above it, so ordinary writes need
+ * no redraw; the bar itself is only rewritten when its text changes.
+ *
+ * Every bar write saves and restores the cursor, so it can interleave with
+ * partial lines of streamed text.
+ */
+
+const CSI = '\x1b[';
+const SAVE_CURSOR = '\x1b7';
+const RESTORE_CURSOR = '\x1b8';
+const SEPARATOR = ' │ ';
+
+// Below this there is no room left to scroll
+const MIN_ROWS = 4;
+
+/**
+ * Join `{ text, color }` segments into one line no wider than `width`.
+ * Trailing segments that do not fit are dropped; the first is cut if needed.
+ */
+function fitSegments(segments, width, reset = '') {
+  const parts = [];
+  let used = 0;
+  for (const { text, color = '' } of segments) {
+    const extra = parts.length > 0 ? SEPARATOR.length : 0;
+    if (used + extra + text.length > width) {
+      if (parts.length === 0 && width > 1) {
+        parts.push(`${color}${text.substring(0, width - 1)}…${color ? reset : ''}`);
+      }
+      break;
+    }
+    parts.push(`${color}${text}${color ? reset : ''}`);
+    used += extra + text.length;
+  }
+  return parts.join(SEPARATOR);
+}
+
+// 75s -> 1:15, 3725s -> 1:02:05
+function formatElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * @param {object} params
+ * @param {object} params.output - TTY stream: write(), rows, columns, and optionally on/off('resize')
+ * @param {object} params.clock - { setInterval, clearInterval }
+ * @param {Function} params.render - (columns) => status line, already fitted to the width
+ * @param {number} [params.intervalMs] - Redraw tick for clocks and spinners
+ * @returns {{ enable(): boolean, update(): void, disable(): void, isActive(): boolean }}
+ */
+function createStatusBar({ output, clock, render, intervalMs = 1000 }) {
+  let rows = 0;
+  let active = false;
+  let lastLine = null;
+  let interval = null;
+
+  const setRegion = () => `${SAVE_CURSOR}${CSI}1;${rows - 1}r${RESTORE_CURSOR}`;
+
+  function draw(force = false) {
+    if (!active) return;
+    const line = render(output.columns || 80);
+    if (!force && line === lastLine) return;
+    lastLine = line;
+    output.write(`${SAVE_CURSOR}${CSI}${rows};1H${CSI}2K${line}${RESTORE_CURSOR}`);
+  }
+
+  function onResize() {
+    if (!active) return;
+    const oldRows = rows;
+    rows = output.rows || rows;
+    if (rows < MIN_ROWS) {
+      disable();
+      return;
+    }
+    // The old bar row may now sit inside the scroll region
+    const clearOld = oldRows < rows ? `${SAVE_CURSOR}${CSI}${oldRows};1H${CSI}2K${RESTORE_CURSOR}` : '';
+    output.write(`${clearOld}${setRegion()}`);
+    draw(true);
+  }
+
+  function enable() {
+    if (active) return true;
+    rows = output.rows || 0;
+    if (rows < MIN_ROWS) return false;
+    active = true;
+    // Scroll once so the cursor is not left on the row the bar takes over
+    output.write(`\n${CSI}1A${setRegion()}`);
+    draw(true);
+    interval = clock.setInterval(() => draw(), intervalMs);
+    if (typeof output.on === 'function') output.on('resize', onResize);
+    return true;
+  }
+
+  function disable() {
+    if (!active) return;
+    active = false;
+    lastLine = null;
+    clock.clearInterval(interval);
+    interval = null;
+    if (typeof output.off === 'function') output.off('resize', onResize);
+    output.write(`${SAVE_CURSOR}${CSI}r${CSI}${rows};1H${CSI}2K${RESTORE_CURSOR}`);
+  }
+
+  return {
+    enable,
+    update: () => draw(),
+    disable,
+    isActive: () => active,
+  };
+}
+
+module.exports = {
+  createStatusBar,
+  fitSegments,
+  formatElapsed,
+  MIN_ROWS,
+};
@@ -0,0 +1,514 @@
+/**
+ * Ralph Stream Events
+ *
+ * One event model for every stream the formatter reads: Claude CLI
+ * stream-json (`assistant`, `user`, `result`, `system`, and API events wrapped
+ * in `stream_event`), raw Anthropic SSE (`message_start`,
+ * `content_block_delta`, ..., framed as sse.js describes), and what LiteLLM
+ * passes on for Ollama models:
+ * OpenAI `chat.completion.chunk`s and Ollama's own `/api/chat` lines. The
+ * renderers in output-formatter.js only see normalized events, and
+ * `output-formatter.js --format=normalized-ndjson` prints them.
+ *
+ * Normalized events; unknown fields are left out:
+ *
+ *   message_start    { id, model }              a model response begins
+ *   message_stop     {}                         ... and ends
+ *   model            { model }                  the CLI's messages name another model
+ *   text             { text }                   a complete text block
+ *   text_delta       { text }                   streamed text
+ *   text_end         {}                         end of a streamed text block
+ *   thinking         { text, redacted }         a complete thinking block
+ *   thinking_delta   { text }                   streamed thinking
+ *   thinking_end     {}                         end of a streamed thinking block
+ *   tool_call        { id, name, input }        a complete tool call
+ *   tool_call_start  { id, name }               a streamed tool call begins,
+ *   tool_call_delta  { id, json }               its input arrives a JSON fragment at a time,
+ *   tool_call_end    { id, name, input }        and ends with the parsed input
+ *   tool_result      { id, isError, content }   content as text
+ *   usage            { messageId, inputTokens, outputTokens, final }
+ *                                               output tokens so far; final once the message is done
+ *   error            { message, errorType }
+ *   result           { isError, subtype, text, costUsd, durationMs, numTurns, usage }
+ *                                               the CLI run ended; usage as below
+ *   init             { model, tools }           the CLI session started
+ *   notice           { source, message }        system and subagent messages
+ *   timeout          { reason, message, activeTool }   see supervisor.js
+ *   retry            { attempt, maxAttempts, delayMs, category, message, detail }   see run-controller.js
+ *   raw              { text }                   a line that is not JSON
+ *
+ * Result usage is { inputTokens, outputTokens, cacheReadInputTokens,
+ * cacheCreationInputTokens }. Events from a subagent carry `parentId`, the id
+ * of the Task call that started it. Tool calls without an id get one
+ * (`call_N`), so a streamed call's start, deltas and end share it.
+ *
+ * With --include-partial-messages the CLI streams a message's text and
+ * thinking as `stream_event`s, then sends the same blocks again in its
+ * `assistant` messages. Those repeats are dropped, matched by message id and
+ * block type, so each block is shown once.
+ */
+
+const { createSseParser, decodeMessage } = require('./sse');
+
+const EVENT_TYPES = [
+  'message_start', 'message_stop', 'model',
+  'text', 'text_delta', 'text_end',
+  'thinking', 'thinking_delta', 'thinking_end',
+  'tool_call', 'tool_call_start', 'tool_call_delta', 'tool_call_end', 'tool_result',
+  'usage', 'error', 'result', 'init', 'notice', 'timeout', 'retry', 'raw',
+];
+
+// Event types of the Anthropic Messages API stream
+const API_EVENT_TYPES = new Set(['message_start', 'content_block_start', 'content_block_delta', 'content_block_stop', 'message_delta', 'message_stop', 'ping']);
+
+// The text without its last token: a comma, colon, string or bare literal
+function dropLastToken(text) {
+  let end = text.trimEnd().length;
+  const last = text[end - 1];
+  if (last === ',' || last === ':') return text.substring(0, end - 1);
+  if (last === '"') {
+    // Back to the opening quote, skipping escaped ones
+    for (end -= 2; end >= 0; end--) {
+      let backslashes = 0;
+      while (text[end - 1 - backslashes] === '\\') backslashes++;
+      if (text[end] === '"' && backslashes % 2 === 0) break;
+    }
+    return text.substring(0, Math.max(0, end));
+  }
+  while (end > 0 && /[\w.+-]/.test(text[end - 1])) end--;
+  return text.substring(0, end);
+}
+
+// What can be read from the start of a JSON text: unfinished strings and
+// values are dropped, open objects and arrays closed. Null when nothing is
+// left to parse.
+function parsePartialJson(json) {
+  const closers = [];
+  let stringStart = -1;
+  let escaped = false;
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+    if (stringStart !== -1) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') stringStart = -1;
+    } else if (char === '"') {
+      stringStart = i;
+    } else if (char === '{' || char === '[') {
+      closers.unshift(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      closers.shift();
+    }
+  }
+  let text = stringStart === -1 ? json : json.substring(0, stringStart);
+  const close = closers.join('');
+  for (;;) {
+    try {
+      return JSON.parse(text + close);
+    } catch {
+      // A trailing comma, colon, key or cut-off literal
+      const trimmed = dropLastToken(text);
+      if (trimmed.length === text.length) return null;
+      text = trimmed;
+    }
+  }
+}
+
+// Streamed tool input, as much of it as a cut-off stream left
+function parseToolInput(json) {
+  let input;
+  try {
+    input = JSON.parse(json || '{}');
+  } catch {
+    input = parsePartialJson(json);
+  }
+  return input && typeof input === 'object' ? input : {};
+}
+
+// Tool results carry either a string or a list of content blocks
+function toolResultText(content) {
+  if (!content) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(block => (block.type === 'text' ? block.text : `[${block.type}]`))
+      .join('\n');
+  }
+  return JSON.stringify(content);
+}
+
+const firstNumber = (...values) => values.find(value => typeof value === 'number');
+
+// Anthropic, OpenAI and Ollama token counts under one set of names
+function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') return undefined;
+  return {
+    inputTokens: firstNumber(usage.input_tokens, usage.prompt_tokens, usage.prompt_eval_count) ?? 0,
+    outputTokens: firstNumber(usage.output_tokens, usage.completion_tokens, usage.eval_count) ?? null,
+    cacheReadInputTokens: usage.cache_read_input_tokens || 0,
+    cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+  };
+}
+
+// An event without its undefined fields
+function event(type, fields = {}) {
+  const result = { type };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) result[key] = value;
+  });
+  return result;
+}
+
+/**
+ * @returns {{ push(data: object): object[], pushLine(line: string): object[], end(): object[] }}
+ */
+function createEventNormalizer() {
+  // Open blocks of the message being streamed, keyed by block index (SSE) or
+  // kind (chunk dialects): { kind: 'text'|'thinking'|'tool', id, name, json, input }
+  const blocks = new Map();
+  // Whether an OpenAI or Ollama response is under way
+  let chunkMessage = false;
+  let lastModel = null;
+  // Output tokens last reported per CLI message id; the CLI repeats them per block
+  const reported = new Map();
+  let callCount = 0;
+  // Text and thinking blocks streamed per message id, by block type, that an
+  // `assistant` message has not repeated yet
+  const streamed = new Map();
+  let streamingId = null;
+  const sse = createSseParser();
+
+  const callId = (id) => id || `call_${++callCount}`;
+  const blockKey = (index) => (index === undefined || index === null ? 'block' : `block:${index}`);
+
+  function close(key) {
+    const block = blocks.get(key);
+    if (!block) return [];
+    blocks.delete(key);
+    if (block.kind === 'tool') {
+      const input = block.json ? parseToolInput(block.json) : block.input || {};
+      return [event('tool_call_end', { id: block.id, name: block.name, input })];
+    }
+    return [event(`${block.kind}_end`)];
+  }
+
+  const closeAll = () => Array.from(blocks.keys()).flatMap(close);
+
+  // Open a text or thinking block unless one is already open under this key
+  function ensure(key, kind) {
+    if (blocks.get(key)?.kind === kind) return [];
+    const events = close(key);
+    blocks.set(key, { kind });
+    return events;
+  }
+
+  function markStreamed(type) {
+    if (!streamingId) return;
+    const counts = streamed.get(streamingId) || {};
+    counts[type] = (counts[type] || 0) + 1;
+    streamed.set(streamingId, counts);
+  }
+
+  // Whether an `assistant` message's block was streamed already; each streamed block matches once
+  function wasStreamed(messageId, type) {
+    const counts = streamed.get(messageId);
+    if (!counts?.[type]) return false;
+    counts[type]--;
+    return true;
+  }
+
+  function modelEvent(type, model, fields = {}) {
+    if (model) lastModel = model;
+    return event(type, { ...fields, model });
+  }
+
+  function toolCall(block) {
+    return event('tool_call', { id: callId(block.id), name: block.name || 'unknown', input: block.input || {} });
+  }
+
+  // Anthropic Messages API stream events
+  function apiEvent(data) {
+    switch (data.type) {
+      case 'message_start': {
+        const message = data.message || {};
+        streamingId = message.id || null;
+        const events = [...closeAll(), modelEvent('message_start', message.model, { id: message.id })];
+        const usage = normalizeUsage(message.usage);
+        if (usage) events.push(event('usage', { messageId: message.id, outputTokens: usage.outputTokens ?? 0 }));
+        return events;
+      }
+      case 'content_block_start': {
+        const block = data.content_block || {};
+        const key = blockKey(data.index);
+        const events = close(key);
+        if (['text', 'thinking', 'redacted_thinking'].includes(block.type)) markStreamed(block.type);
+        if (block.type === 'text') {
+          blocks.set(key, { kind: 'text' });
+          if (block.text) events.push(event('text_delta', { text: block.text }));
+        } else if (block.type === 'thinking') {
+          blocks.set(key, { kind: 'thinking' });
+          if (block.thinking) events.push(event('thinking_delta', { text: block.thinking }));
+        } else if (block.type === 'redacted_thinking') {
+          events.push(event('thinking', { text: '', redacted: true }));
+        } else if (block.type === 'tool_use' || block.type === 'server_tool_use') {
+          const id = callId(block.id);
+          const name = block.name || 'unknown';
+          blocks.set(key, { kind: 'tool', id, name, json: '', input: block.input });
+          events.push(event('tool_call_start', { id, name }));
+        }
+        return events;
+      }
+      case 'content_block_delta': {
+        const delta = data.delta || {};
+        const key = blockKey(data.index);
+        if (delta.type === 'text_delta' && delta.text) {
+          return [...ensure(key, 'text'), event('text_delta', { text: delta.text })];
+        }
+        if (delta.type === 'thinking_delta' && delta.thinking) {
+          return [...ensure(key, 'thinking'), event('thinking_delta', { text: delta.thinking })];
+        }
+        const block = blocks.get(key);
+        if (delta.type === 'input_json_delta' && block?.kind === 'tool') {
+          const json = delta.partial_json || '';
+          block.json += json;
+          return json ? [event('tool_call_delta', { id: block.id, json })] : [];
+        }
+        // Signatures and citations have nothing to show
+        return [];
+      }
+      case 'content_block_stop': {
+        const key = blockKey(data.index);
+        return blocks.has(key) ? close(key) : closeAll();
+      }
+      case 'message_delta': {
+        const usage = normalizeUsage(data.usage);
+        return usage ? [event('usage', { outputTokens: usage.outputTokens ?? 0, final: true })] : [];
+      }
+      case 'message_stop':
+        return [...closeAll(), event('message_stop')];
+      default:
+        return [];
+    }
+  }
+
+  // Claude CLI stream-json
+  function cliEvent(data) {
+    switch (data.type) {
+      case 'assistant': {
+        const message = data.message || {};
+        const events = [];
+        if (message.model && message.model !== lastModel) events.push(modelEvent('model', message.model));
+        const usage = normalizeUsage(message.usage);
+        if (message.id && usage && reported.get(message.id) !== usage.outputTokens) {
+          reported.set(message.id, usage.outputTokens);
+          events.push(event('usage', { messageId: message.id, outputTokens: usage.outputTokens ?? 0 }));
+        }
+        const content = message.content;
+        if (typeof content === 'string' && content) {
+          events.push(event('text', { text: content }));
+        } else if (Array.isArray(content)) {
+          content.forEach(block => {
+            if (block && wasStreamed(message.id, block.type)) return;
+            if (block?.type === 'text' && block.text) {
+              events.push(event('text', { text: block.text }));
+            } else if (block?.type === 'tool_use') {
+              events.push(toolCall(block));
+            } else if (block?.type === 'thinking') {
+              events.push(event('thinking', { text: block.thinking || '', redacted: false }));
+            } else if (block?.type === 'redacted_thinking') {
+              events.push(event('thinking', { text: '', redacted: true }));
+            }
+          });
+        }
+        return events;
+      }
+      case 'user': {
+        // Tool results come back as user turns
+        const content = Array.isArray(data.message?.content) ? data.message.content : [];
+        return content.filter(block => block?.type === 'tool_result').map(toolResult);
+      }
+      case 'tool_use':
+        return [toolCall(data)];
+      case 'tool_result':
+        return [toolResult(data)];
+      case 'system':
+        return systemEvent(data);
+      case 'error':
+        return [event('error', { message: data.error?.message || data.message || 'Unknown error', errorType: data.error?.type })];
+      case 'result': {
+        const cost = parseFloat(data.total_cost_usd ?? data.cost_usd);
+        return [event('result', {
+          isError: Boolean(data.is_error),
+          subtype: data.subtype,
+          text: typeof data.result === 'string' ? data.result : undefined,
+          costUsd: Number.isFinite(cost) ? cost : undefined,
+          durationMs: data.duration_ms,
+          numTurns: data.num_turns,
+          usage: normalizeUsage(data.usage),
+        })];
+      }
+      default:
+        return data.subagent ? [event('notice', { source: 'subagent', message: data.subagent })] : [];
+    }
+  }
+
+  function toolResult(block) {
+    return event('tool_result', { id: block.tool_use_id, isError: Boolean(block.is_error), content: toolResultText(block.content) });
+  }
+
+  function systemEvent(data) {
+    if (data.subtype === 'timeout') {
+      return [event('timeout', { reason: data.reason, message: data.message, activeTool: data.active_tool })];
+    }
+    if (data.subtype === 'retry') {
+      return [event('retry', {
+        attempt: data.attempt,
+        maxAttempts: data.max_attempts,
+        delayMs: data.delay_ms,
+        category: data.category,
+        message: data.message,
+        detail: data.detail,
+      })];
+    }
+    const events = [];
+    if (data.message) events.push(event('notice', { source: 'system', message: data.message }));
+    if (data.subtype === 'init') {
+      events.push(modelEvent('init', data.model, { tools: Array.isArray(data.tools) ? data.tools : undefined }));
+    }
+    return events;
+  }
+
+  function startChunkMessage(data, events) {
+    if (chunkMessage) return;
+    chunkMessage = true;
+    events.push(modelEvent('message_start', data.model, { id: data.id }));
+  }
+
+  function stopChunkMessage(events) {
+    events.push(...closeAll(), event('message_stop'));
+    chunkMessage = false;
+  }
+
+  // OpenAI chat.completion.chunk, as LiteLLM streams it
+  function openAiChunk(data) {
+    const events = [];
+    let finished = false;
+    data.choices.forEach(choice => {
+      const delta = choice.delta || choice.message || {};
+      startChunkMessage(data, events);
+      const reasoning = delta.reasoning_content || delta.reasoning;
+      if (reasoning) events.push(...ensure('thinking', 'thinking'), event('thinking_delta', { text: reasoning }));
+      if (delta.content) {
+        events.push(...close('thinking'), ...ensure('text', 'text'), event('text_delta', { text: delta.content }));
+      }
+      (Array.isArray(delta.tool_calls) ? delta.tool_calls : []).forEach(call => {
+        const key = `tool:${call.index ?? 0}`;
+        let block = blocks.get(key);
+        if (!block) {
+          events.push(...close('thinking'), ...close('text'));
+          block = { kind: 'tool', id: callId(call.id), name: call.function?.name || 'unknown', json: '' };
+          blocks.set(key, block);
+          events.push(event('tool_call_start', { id: block.id, name: block.name }));
+        }
+        const json = call.function?.arguments;
+        if (json) {
+          block.json += json;
+          events.push(event('tool_call_delta', { id: block.id, json }));
+        }
+      });
+      if (choice.finish_reason) finished = true;
+    });
+    if (finished) stopChunkMessage(events);
+    // With include_usage the counts come in a last chunk of their own
+    const usage = normalizeUsage(data.usage);
+    if (usage) events.push(event('usage', { messageId: data.id, inputTokens: usage.inputTokens, outputTokens: usage.outputTokens ?? 0, final: true }));
+    return events;
+  }
+
+  // Ollama /api/chat and /api/generate lines
+  function ollamaChunk(data) {
+    const events = [];
+    startChunkMessage(data, events);
+    const message = data.message || {};
+    if (message.thinking) events.push(...ensure('thinking', 'thinking'), event('thinking_delta', { text: message.thinking }));
+    const text = message.content || data.response;
+    if (text) events.push(...close('thinking'), ...ensure('text', 'text'), event('text_delta', { text }));
+    (Array.isArray(message.tool_calls) ? message.tool_calls : []).forEach(call => {
+      const input = typeof call.function?.arguments === 'string' ? parseToolInput(call.function.arguments) : call.function?.arguments;
+      events.push(...close('thinking'), ...close('text'), toolCall({ id: call.id, name: call.function?.name, input }));
+    });
+    if (data.done) {
+      events.push(...closeAll(), event('usage', { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0, final: true }));
+      stopChunkMessage(events);
+    }
+    return events;
+  }
+
+  function normalize(data) {
+    if (!data || typeof data !== 'object') return [];
+    // The CLI wraps API stream events with --include-partial-messages
+    if (data.type === 'stream_event') return normalize(data.event);
+    if (data.type) return API_EVENT_TYPES.has(data.type) ? apiEvent(data) : cliEvent(data);
+    if (Array.isArray(data.choices)) return openAiChunk(data);
+    if (typeof data.done === 'boolean') return ollamaChunk(data);
+    // OpenAI and Ollama errors have no type
+    if (data.error) {
+      const message = typeof data.error === 'string' ? data.error : data.error.message;
+      return [event('error', { message: message || 'Unknown error', errorType: data.error.type })];
+    }
+    return [];
+  }
+
+  // One parsed event in, its normalized events out
+  function push(data) {
+    const parentId = data?.parent_tool_use_id || undefined;
+    const events = normalize(data);
+    return parentId ? events.map(normalized => ({ ...normalized, parentId })) : events;
+  }
+
+  function pushMessage(message) {
+    const payload = decodeMessage(message);
+    if (!payload) return [];
+    if (payload.done) return end();
+    if ('text' in payload) {
+      const text = payload.text.trim();
+      return text ? [event('raw', { text })] : [];
+    }
+    return push(payload.data);
+  }
+
+  // A raw stream line, as the CLI or the API proxy (SSE) prints it
+  function pushLine(line) {
+    return sse.push(line).flatMap(pushMessage);
+  }
+
+  // Ends whatever a cut-off stream left open
+  function end() {
+    const events = sse.end().flatMap(pushMessage);
+    events.push(...closeAll());
+    if (chunkMessage) stopChunkMessage(events);
+    return events;
+  }
+
+  return { push, pushLine, end };
+}
+
+/**
+ * Normalize a whole captured stream.
+ *
+ * @param {string} text - The stream, one event per line
+ */
+function normalizeStream(text) {
+  const normalizer = createEventNormalizer();
+  return [...String(text || '').split('\n').flatMap(normalizer.pushLine), ...normalizer.end()];
+}
+
+module.exports = {
+  createEventNormalizer,
+  normalizeStream,
+  normalizeUsage,
+  parsePartialJson,
+  parseToolInput,
+  toolResultText,
+  EVENT_TYPES,
+};
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * Ralph Supervisor
+ *
+ * Runs the `claude -p` command for one iteration and watches its event
+ * stream. A hung model or a stuck tool can leave an iteration printing
+ * nothing forever, so the supervisor enforces an idle timeout (no output for
+ * N seconds) and a hard iteration timeout. When either fires it kills the
+ * child's whole process tree, adds a `system`/`timeout` event naming the tool
+ * that was running to the stream, and exits with EXIT_CODES.TIMED_OUT so
+ * loop.sh can tell a timeout from a normal finish.
+ *
+ * Usage: echo "$PROMPT" | node supervisor.js [--idle-timeout SECONDS] [--iteration-timeout MINUTES] -- claude -p ...
+ *
+ * Output passes through untouched: stdout to stdout, stderr to stderr.
+ */
+
+const childProcess = require('child_process');
+const { EXIT_CODES } = require('./exit-codes');
+const { formatElapsed } = require('./status-bar');
+
+const DEFAULT_IDLE_SECONDS = 600;
+const DEFAULT_ITERATION_MINUTES = 120;
+// Between SIGTERM and SIGKILL
+const DEFAULT_GRACE_MS = 5000;
+const MAX_TOOL_DETAIL_LENGTH = 80;
+
+const SIGNAL_NUMBERS = { SIGHUP: 1, SIGINT: 2, SIGKILL: 9, SIGTERM: 15 };
+
+// The input field that says what a tool call is doing
+function toolDetail(input) {
+  if (!input || typeof input !== 'object') return '';
+  const detail = [input.command, input.file_path, input.pattern, input.url, input.description]
+    .find(value => typeof value === 'string' && value.trim());
+  if (!detail) return '';
+  const line = detail.trim().split('\n')[0];
+  return line.length > MAX_TOOL_DETAIL_LENGTH ? `${line.substring(0, MAX_TOOL_DETAIL_LENGTH - 3)}...` : line;
+}
+
+/**
+ * Follows tool calls through the stream so a timeout can say which one was
+ * running.
+ *
+ * @param {object} [clock] - { now() } in ms
+ * @returns {{ push(line: string): void, active(): { name: string, detail: string, runningMs: number }|null }}
+ */
+function createToolTracker(clock = Date) {
+  // Calls awaiting their result, keyed by tool_use id (insertion ordered)
+  const running = new Map();
+
+  function start(block) {
+    if (!block?.id) return;
+    running.set(block.id, { name: block.name || 'unknown', detail: toolDetail(block.input), since: clock.now() });
+  }
+
+  function push(line) {
+    const text = line.startsWith('data: ') ? line.substring(6) : line;
+    let event;
+    try {
+      event = JSON.parse(text);
+    } catch {
+      return;
+    }
+    const content = Array.isArray(event?.message?.content) ? event.message.content : [];
+    if (event?.type === 'assistant') {
+      content.filter(block => block?.type === 'tool_use').forEach(start);
+    } else if (event?.type === 'user') {
+      content.filter(block => block?.type === 'tool_result').forEach(block => running.delete(block.tool_use_id));
+    } else if (event?.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+      start(event.content_block);
+    }
+  }
+
+  // The most recently started call still running
+  function active() {
+    const calls = Array.from(running.values());
+    const call = calls[calls.length - 1];
+    return call ? { name: call.name, detail: call.detail, runningMs: clock.now() - call.since } : null;
+  }
+
+  return { push, active };
+}
+
+function describeTimeout(reason, limitMs, tool) {
+  const what = reason === 'idle'
+    ? `No events for ${Math.round(limitMs / 1000)}s`
+    : `Iteration ran past ${Math.round(limitMs / 60000)}m`;
+  const where = tool
+    ? `while ${tool.name}${tool.detail ? ` (${tool.detail})` : ''} was running for ${formatElapsed(tool.runningMs)}`
+    : 'while waiting on the model';
+  return `${what} ${where}; stopped claude`;
+}
+
+/**
+ * Run a command under the timeouts. Resolves once the child and its stdio
+ * have closed.
+ *
+ * @param {object} params
+ * @param {string} params.command
+ * @param {string[]} [params.args]
+ * @param {object|null} [params.stdin] - Piped to the child; null closes its input
+ * @param {object} [params.stdout]
+ * @param {object} [params.stderr]
+ * @param {number|null} [params.idleMs] - null disables the idle timeout
+ * @param {number|null} [params.iterationMs] - null disables the iteration timeout
+ * @param {number} [params.graceMs] - How long the tree gets to exit after SIGTERM
+ * @returns {{ child: object, stop(signal?: string): void, done: Promise<{ exitCode: number, timeout: object|null }> }}
+ */
+function supervise({
+  command,
+  args = [],
+  stdin = process.stdin,
+  stdout = process.stdout,
+  stderr = process.stderr,
+  idleMs = DEFAULT_IDLE_SECONDS * 1000,
+  iterationMs = DEFAULT_ITERATION_MINUTES * 60 * 1000,
+  graceMs = DEFAULT_GRACE_MS,
+  spawn = childProcess.spawn,
+}) {
+  // Its own process group, so the tools it started go down with it
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'], detached: process.platform !== 'win32' });
+  const tools = createToolTracker();
+  let timeout = null;
+  let partial = '';
+  let killTimer = null;
+  let spawnError = null;
+
+  function stop(signal = 'SIGTERM') {
+    try {
+      process.kill(process.platform === 'win32' ? child.pid : -child.pid, signal);
+    } catch {
+      // Already gone
+    }
+  }
+
+  function expire(reason, limitMs) {
+    if (timeout) return;
+    const tool = tools.active();
+    timeout = { reason, limitMs, tool, message: describeTimeout(reason, limitMs, tool) };
+    // Through the stream, so the formatter and the captured output show it
+    stdout.write(`${partial ? '\n' : ''}${JSON.stringify({ type: 'system', subtype: 'timeout', reason, message: timeout.message, active_tool: tool })}\n`);
+    stop('SIGTERM');
+    killTimer = setTimeout(() => stop('SIGKILL'), graceMs);
+    killTimer.unref();
+  }
+
+  const idleTimer = idleMs ? setTimeout(() => expire('idle', idleMs), idleMs) : null;
+  const iterationTimer = iterationMs ? setTimeout(() => expire('iteration', iterationMs), iterationMs) : null;
+  const activity = () => {
+    if (idleTimer && !timeout) idleTimer.refresh();
+  };
+
+  child.stdout.on('data', (chunk) => {
+    activity();
+    if (timeout) return;
+    stdout.write(chunk);
+    const lines = (partial + chunk.toString()).split('\n');
+    partial = lines.pop();
+    lines.forEach(line => tools.push(line.trim()));
+  });
+  child.stderr.on('data', (chunk) => {
+    activity();
+    if (!timeout) stderr.write(chunk);
+  });
+
+  // The child may exit before reading all of its input
+  child.stdin.on('error', () => {});
+  if (stdin) stdin.pipe(child.stdin);
+  else child.stdin.end();
+
+  const done = new Promise((resolve) => {
+    child.on('error', (error) => {
+      spawnError = error;
+      stderr.write(`[supervisor] Could not start ${command}: ${error.message}\n`);
+    });
+    child.on('close', (code, signal) => {
+      [idleTimer, iterationTimer, killTimer].forEach(timer => timer && clearTimeout(timer));
+      // Whatever of the tree outlived claude after a timeout
+      if (timeout) stop('SIGKILL');
+      if (stdin) stdin.unpipe(child.stdin);
+      // Like the shell: 128 + signal number, 127 when the command could not be run
+      let exitCode = code ?? 128 + (SIGNAL_NUMBERS[signal] || 0);
+      if (spawnError) exitCode = 127;
+      resolve({ exitCode: timeout ? EXIT_CODES.TIMED_OUT : exitCode, timeout });
+    });
+  });
+
+  return { child, stop, done };
+}
+
+const USAGE = 'Usage: node supervisor.js [--idle-timeout SECONDS] [--iteration-timeout MINUTES] -- command [args...]';
+
+// Timeout flags and the argument each one sets
+const TIMEOUT_FLAGS = { '--idle-timeout': 'idleSeconds', '--iteration-timeout': 'iterationMinutes' };
+
+/**
+ * Parse CLI arguments: numeric flags, then `--` and the command. Shared with
+ * run-controller.js, which adds its own flags.
+ * Throws on unknown flags or invalid values.
+ *
+ * @param {string[]} argv
+ * @param {object} flags - { '--flag': 'argName' }; args not given are null
+ */
+function parseCommandArgs(argv, flags) {
+  const args = { command: null, commandArgs: [] };
+  Object.values(flags).forEach(name => {
+    args[name] = null;
+  });
+  let i = 0;
+  for (; i < argv.length && argv[i] !== '--'; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    if (!flags[flag]) throw new Error(`Unknown argument: ${argv[i]}`);
+    const raw = inline !== undefined ? inline : argv[++i];
+    const value = Number(raw);
+    if (raw === undefined || !Number.isFinite(value) || value < 0) {
+      throw new Error(`${flag} expects a non-negative number, got "${raw}"`);
+    }
+    args[flags[flag]] = value;
+  }
+  [args.command, ...args.commandArgs] = argv.slice(i + 1);
+  if (!args.command) throw new Error('No command given');
+  return args;
+}
+
+// Timeout flags, then `--` and the command
+function parseArgs(argv) {
+  return parseCommandArgs(argv, TIMEOUT_FLAGS);
+}
+
+// Main
+function main(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n${USAGE}\n`);
+    process.exit(2);
+  }
+
+  // Flags win over the project config and RALPH_* variables; 0 turns a timeout off
+  const { resolveConfig, loadConfigOrWarn } = require('./output-formatter');
+  const { timeouts } = resolveConfig({ fileConfig: loadConfigOrWarn().config });
+  const idleSeconds = args.idleSeconds ?? timeouts.idleSeconds;
+  const iterationMinutes = args.iterationMinutes ?? timeouts.iterationMinutes;
+
+  const run = supervise({
+    command: args.command,
+    args: args.commandArgs,
+    idleMs: idleSeconds ? idleSeconds * 1000 : null,
+    iterationMs: iterationMinutes ? iterationMinutes * 60 * 1000 : null,
+  });
+  // The child is in its own process group, so Ctrl+C has to be passed on
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => run.stop(signal)));
+  // The formatter stopped reading (budget, guard): take the child down too
+  process.stdout.on('error', () => run.stop('SIGTERM'));
+  run.done.then(({ exitCode }) => process.exit(exitCode));
+}
+
+module.exports = {
+  supervise,
+  createToolTracker,
+  describeTimeout,
+  toolDetail,
+  parseArgs,
+  parseCommandArgs,
+  TIMEOUT_FLAGS,
+  DEFAULT_IDLE_SECONDS,
+  DEFAULT_ITERATION_MINUTES,
+  DEFAULT_GRACE_MS,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,176 @@
+/**
+ * Ralph Terminal Support
+ *
+ * Colour themes, colour/TTY detection and ANSI-aware line wrapping.
+ *
+ * Colour follows the usual conventions: FORCE_COLOR wins (0/false turns it
+ * off), then NO_COLOR, then whether stdout is a terminal. Redirected output
+ * (a file, `docker compose logs`) therefore gets plain text and no spinner.
+ */
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  dim: '\x1b[2m',
+  italic: '\x1b[3m',
+  cyan: '\x1b[36m',
+  yellow: '\x1b[33m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  magenta: '\x1b[35m',
+  blue: '\x1b[34m',
+  white: '\x1b[37m',
+};
+
+// Same keys, no escapes - for transcripts and redirected output
+const noColors = Object.fromEntries(Object.keys(colors).map(key => [key, '']));
+
+// Every theme has the same keys as `colors`
+const THEMES = {
+  default: colors,
+  // Bright colours and no dim text, for low-contrast terminals and screens
+  'high-contrast': {
+    ...colors,
+    dim: '',
+    cyan: '\x1b[96m',
+    yellow: '\x1b[93m',
+    green: '\x1b[92m',
+    red: '\x1b[91m',
+    magenta: '\x1b[95m',
+    blue: '\x1b[94m',
+    white: '\x1b[97m',
+  },
+  // Darker shades that stay readable on white backgrounds
+  'light-background': {
+    ...colors,
+    cyan: '\x1b[38;5;24m',
+    yellow: '\x1b[38;5;130m',
+    green: '\x1b[38;5;28m',
+    magenta: '\x1b[38;5;90m',
+    white: '\x1b[30m',
+  },
+  // Emphasis only
+  monochrome: {
+    ...noColors,
+    reset: colors.reset,
+    bold: colors.bold,
+    dim: colors.dim,
+    italic: colors.italic,
+  },
+};
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+const stripAnsi = (text) => String(text).replace(ANSI_PATTERN, '');
+
+const visibleLength = (text) => stripAnsi(text).length;
+
+/**
+ * Whether to emit colour for a stream.
+ *
+ * @param {object} params
+ * @param {object} [params.env] - Environment, defaults to process.env
+ * @param {boolean} [params.isTTY] - Whether the output is a terminal
+ */
+function shouldUseColor({ env = process.env, isTTY = false } = {}) {
+  if (env.FORCE_COLOR !== undefined) return !['0', 'false'].includes(env.FORCE_COLOR);
+  if (env.NO_COLOR) return false;
+  return Boolean(isTTY);
+}
+
+/**
+ * Resolve a theme name to a palette; colour off means no escapes at all.
+ * Throws for unknown theme names.
+ */
+function paletteFor(theme = 'default', color = true) {
+  if (!Object.prototype.hasOwnProperty.call(THEMES, theme)) {
+    throw new Error(`Unknown theme "${theme}" (expected ${Object.keys(THEMES).join(', ')})`);
+  }
+  return color ? THEMES[theme] : noColors;
+}
+
+// Escapes, runs of whitespace, and words (a stray ESC counts as a word)
+const TOKEN_PATTERN = /(\x1b\[[0-9;]*[A-Za-z])|([^\S\n]+)|([^\s\x1b]+|\x1b)/g;
+
+// Narrower than this, wrapping does more harm than good
+const MIN_WRAP_WIDTH = 20;
+
+/**
+ * Word-wrap one line that may already be partly written.
+ *
+ * Escapes take no width. Breaks go between words (over-long words are split)
+ * and continuation lines start with `indent`. Trailing whitespace is kept as
+ * far as it fits, so streamed chunks can be wrapped one after another.
+ *
+ * @param {string} text - Text without newlines
+ * @param {number} width - Columns available
+ * @param {object} [params]
+ * @param {number} [params.column] - Column the text starts at
+ * @param {string} [params.indent] - Prefix for continuation lines
+ * @returns {{ text: string, column: number }}
+ */
+function wrapFrom(text, width, { column = 0, indent = '' } = {}) {
+  const indentWidth = visibleLength(indent);
+  if (!width || width - indentWidth < MIN_WRAP_WIDTH) {
+    return { text, column: column + visibleLength(text) };
+  }
+
+  let out = '';
+  let col = column;
+  let spaces = '';
+  for (const [, escape, space, word] of text.matchAll(TOKEN_PATTERN)) {
+    if (escape) {
+      out += escape;
+      continue;
+    }
+    if (space) {
+      spaces += space;
+      continue;
+    }
+    if (col + spaces.length + word.length > width && col > indentWidth) {
+      out += `\n${indent}`;
+      col = indentWidth;
+      spaces = '';
+    }
+    out += spaces;
+    col += spaces.length;
+    spaces = '';
+
+    let rest = word;
+    while (col + rest.length > width) {
+      const room = width - col;
+      out += `${rest.substring(0, room)}\n${indent}`;
+      rest = rest.substring(room);
+      col = indentWidth;
+    }
+    out += rest;
+    col += rest.length;
+  }
+  const kept = spaces.substring(0, Math.max(0, width - col));
+  return { text: out + kept, column: col + kept.length };
+}
+
+/**
+ * Wrap each line of `text` to `width`. Continuation lines repeat the line's
+ * own leading whitespace unless an explicit `indent` is given.
+ */
+function wrapText(text, width, indent = null) {
+  if (!width) return text;
+  return String(text).split('\n').map(line => {
+    const lineIndent = indent ?? stripAnsi(line).match(/^\s*/)[0];
+    return wrapFrom(line, width, { indent: lineIndent }).text;
+  }).join('\n');
+}
+
+module.exports = {
+  colors,
+  noColors,
+  THEMES,
+  shouldUseColor,
+  paletteFor,
+  stripAnsi,
+  visibleLength,
+  wrapFrom,
+  wrapText,
+};
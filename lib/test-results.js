@@ -0,0 +1,229 @@
+/**
+ * Ralph Test Results
+ *
+ * Reads pass/fail/skip counts and failing test names out of a Bash call's
+ * output for the common runners: node:test and TAP, Jest, Vitest, Mocha,
+ * pytest, go test, cargo test, and the summaries printed by this repo's own
+ * test scripts ("Test Results: N passed, M failed", "Tests passed: N").
+ *
+ * Only commands that run a test suite are read (isTestCommand), so a `cat`
+ * of a log or a test file is not taken for a run. Runners are tried in order
+ * and the first that recognises the output wins.
+ */
+
+const path = require('path');
+const { splitCommands, commandWords } = require('./guard');
+const { stripAnsi } = require('./terminal');
+
+// Failing test names kept per run
+const MAX_FAILURES = 20;
+
+const count = (text, pattern) => {
+  const match = text.match(pattern);
+  return match ? parseInt(match[1], 10) : 0;
+};
+
+const sum = (text, pattern, group = 1) => Array.from(text.matchAll(pattern))
+  .reduce((total, match) => total + parseInt(match[group], 10), 0);
+
+const names = (text, pattern, group = 1) => Array.from(text.matchAll(pattern), match => match[group].trim());
+
+// "3 failed, 1 skipped, 10 passed" style lists, keyed by word
+function tally(list) {
+  const counts = {};
+  for (const [, n, word] of list.matchAll(/(\d+) ([a-z]+)/g)) {
+    counts[word] = (counts[word] || 0) + parseInt(n, 10);
+  }
+  return counts;
+}
+
+const RUNNERS = [
+  {
+    name: 'cargo test',
+    parse(text) {
+      // One result line per test binary
+      const results = /^test result: \w+\. (\d+) passed; (\d+) failed; (\d+) ignored/gm;
+      if (!text.match(results)) return null;
+      return {
+        passed: sum(text, results, 1),
+        failed: sum(text, results, 2),
+        skipped: sum(text, results, 3),
+        failures: names(text, /^test (\S+) \.\.\. FAILED$/gm),
+      };
+    },
+  },
+  {
+    name: 'pytest',
+    parse(text) {
+      const summary = text.match(/^=+ (.*\b(?:passed|failed|errors?|skipped|no tests ran)\b.*?) in [\d.]+s\b.*=+$/m);
+      if (!summary) return null;
+      const counts = tally(summary[1]);
+      return {
+        passed: (counts.passed || 0) + (counts.xpassed || 0),
+        failed: (counts.failed || 0) + (counts.error || 0) + (counts.errors || 0),
+        skipped: (counts.skipped || 0) + (counts.xfailed || 0),
+        failures: names(text, /^(?:FAILED|ERROR) (\S+)/gm),
+      };
+    },
+  },
+  {
+    name: 'go test',
+    parse(text) {
+      // Individual tests with -v, otherwise one line per package
+      const tests = Array.from(text.matchAll(/^--- (PASS|FAIL|SKIP): (\S+)/gm));
+      if (tests.length > 0) {
+        return {
+          passed: tests.filter(match => match[1] === 'PASS').length,
+          failed: tests.filter(match => match[1] === 'FAIL').length,
+          skipped: tests.filter(match => match[1] === 'SKIP').length,
+          failures: tests.filter(match => match[1] === 'FAIL').map(match => match[2]),
+        };
+      }
+      const packages = Array.from(text.matchAll(/^(ok|FAIL)\s+(\S+)\s+(?:[\d.]+s|\(cached\))/gm));
+      if (packages.length === 0) return null;
+      return {
+        passed: packages.filter(match => match[1] === 'ok').length,
+        failed: packages.filter(match => match[1] === 'FAIL').length,
+        skipped: 0,
+        failures: packages.filter(match => match[1] === 'FAIL').map(match => match[2]),
+      };
+    },
+  },
+  {
+    name: 'jest',
+    parse(text) {
+      const summary = text.match(/^Tests:\s+(.*\d+ total)\s*$/m);
+      if (!summary) return null;
+      const counts = tally(summary[1]);
+      return {
+        passed: counts.passed || 0,
+        failed: counts.failed || 0,
+        skipped: (counts.skipped || 0) + (counts.todo || 0),
+        failures: names(text, /^\s*● (?!Console\b)(.+)$/gm),
+      };
+    },
+  },
+  {
+    name: 'vitest',
+    parse(text) {
+      const summary = text.match(/^\s*Tests\s+(\d+ (?:passed|failed|skipped|todo).*?)\s*\(\d+\)\s*$/m);
+      if (!summary) return null;
+      const counts = tally(summary[1]);
+      return {
+        passed: counts.passed || 0,
+        failed: counts.failed || 0,
+        skipped: (counts.skipped || 0) + (counts.todo || 0),
+        failures: names(text, /^\s*FAIL\s+(\S+ > .+?)(?:\s+\d+ms)?$/gm),
+      };
+    },
+  },
+  {
+    name: 'mocha',
+    parse(text) {
+      const passing = text.match(/^\s*(\d+) passing\b/m);
+      if (!passing) return null;
+      const failing = text.match(/^\s*\d+ failing\s*$/m);
+      // After the summary each failure is "N) Suite" with the test title on the next line
+      const details = failing ? text.substring(failing.index) : '';
+      return {
+        passed: parseInt(passing[1], 10),
+        failed: count(text, /^\s*(\d+) failing\s*$/m),
+        skipped: count(text, /^\s*(\d+) pending\s*$/m),
+        failures: Array.from(details.matchAll(/^\s*\d+\) (.+)\n(?:\s+(.+?):$)?/gm), match => match[2] ? `${match[1]} ${match[2]}` : match[1]),
+      };
+    },
+  },
+  {
+    name: 'node:test',
+    parse(text) {
+      // TAP footers ("# pass 3") or the spec reporter's ("ℹ pass 3")
+      if (!/^(?:#|ℹ) (?:pass|fail) \d+\s*$/m.test(text)) return null;
+      return {
+        passed: count(text, /^(?:#|ℹ) pass (\d+)\s*$/m),
+        failed: count(text, /^(?:#|ℹ) fail (\d+)\s*$/m),
+        skipped: count(text, /^(?:#|ℹ) (?:skipped|skip) (\d+)\s*$/m) + count(text, /^(?:#|ℹ) todo (\d+)\s*$/m),
+        failures: [
+          ...names(text, /^\s*not ok \d+ - (.+?)(?:\s+#\s*(?:TODO|SKIP)\b.*)?$/gm),
+          ...names(text, /^\s*✖ (.+?)(?: \([\d.]+m?s\))?$/gm),
+        ].filter(name => !/^failing tests:?$/.test(name)),
+      };
+    },
+  },
+  {
+    name: 'test script',
+    parse(text) {
+      if (!/^(?:Test Results: \d+ passed, \d+ failed|Tests passed: \d+)\s*$/m.test(text)) return null;
+      return {
+        passed: sum(text, /^Test Results: (\d+) passed/gm) + count(text, /^Tests passed: (\d+)\s*$/m),
+        failed: sum(text, /^Test Results: \d+ passed, (\d+) failed/gm) + count(text, /^Tests failed: (\d+)\s*$/m),
+        skipped: 0,
+        failures: names(text, /^\s*✗ (.+)$/gm),
+      };
+    },
+  },
+];
+
+// Test runners called directly, or through npx or a package manager
+const TEST_TOOLS = ['jest', 'vitest', 'mocha', 'pytest', 'py.test'];
+const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm', 'bun'];
+// Skipped to reach the command they run, with their options: `timeout 300 npm test`, `python -m pytest`
+const WRAPPER = /^(?:npx|bunx|exec|timeout|time|nice|bash|sh|node|python[\d.]*|-.*|\d+(?:\.\d+)?[smhd]?)$/;
+// This repo's own test scripts, and ones laid out like them
+const TEST_SCRIPT = /(?:^|\/)(?:scripts\/test|tests\/(?:test|run_tests))[^/]*$/;
+
+function runsTests(words) {
+  if (words.includes('--test') && words.some(word => path.basename(word) === 'node')) return true;
+  const start = words.findIndex(word => !WRAPPER.test(path.basename(word)));
+  if (start === -1) return false;
+  const [first, ...args] = words.slice(start);
+  const name = path.basename(first);
+  if (TEST_TOOLS.includes(name) || TEST_SCRIPT.test(first)) return true;
+  if (name === 'go' || name === 'cargo') return args[0] === 'test';
+  if (!PACKAGE_MANAGERS.includes(name)) return false;
+  // `npm test`, `npm t`, `yarn run test:unit`, `pnpm exec vitest`
+  const script = ['run', 'run-script', 'exec'].includes(args[0]) ? args[1] : args[0];
+  return typeof script === 'string' && (/^t(?:est)?(?::|$)/.test(script) || TEST_TOOLS.includes(script));
+}
+
+/**
+ * Whether a shell command runs a test suite.
+ */
+function isTestCommand(command) {
+  if (typeof command !== 'string') return false;
+  return splitCommands(command).map(commandWords).some(runsTests);
+}
+
+/**
+ * @param {string} output - A tool result's text
+ * @returns {{ runner: string, passed: number, failed: number, skipped: number, failures: string[] } | null}
+ */
+function parseTestOutput(output) {
+  if (typeof output !== 'string' || output === '') return null;
+  const text = stripAnsi(output).replace(/\r\n?/g, '\n');
+  for (const runner of RUNNERS) {
+    const result = runner.parse(text);
+    if (result) {
+      return {
+        runner: runner.name,
+        ...result,
+        failures: Array.from(new Set(result.failures)).slice(0, MAX_FAILURES),
+      };
+    }
+  }
+  return null;
+}
+
+// "41 passed, 1 failed, 2 skipped"
+function describeTestRun({ passed, failed, skipped }) {
+  const parts = [`${passed} passed`, `${failed} failed`];
+  if (skipped) parts.push(`${skipped} skipped`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  isTestCommand,
+  parseTestOutput,
+  describeTestRun,
+  RUNNERS,
+  MAX_FAILURES,
+};
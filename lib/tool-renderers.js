@@ -0,0 +1,280 @@
+/**
+ * Ralph Tool Renderers
+ *
+ * Turns a tool call's input into a few readable lines for the pretty formatter.
+ * Each renderer is `(input, ctx) => string[]`, where ctx carries the colour
+ * table and truncation limits. Unknown tools fall back to truncated JSON.
+ *
+ * Projects can add their own:
+ *   const formatter = createFormatter({ renderers: { Deploy: (input, ctx) => [...] } });
+ *   formatter.registerRenderer('Deploy', renderer);
+ */
+
+// Largest old×new line product we diff properly; beyond it we show -/+ blocks
+const MAX_DIFF_CELLS = 250000;
+const MAX_DIFF_LINES = 40;
+// Unchanged lines kept around each change
+const DIFF_CONTEXT = 3;
+
+const TODO_GLYPHS = {
+  completed: '✓',
+  in_progress: '→',
+  pending: '○',
+};
+
+function splitLines(text) {
+  if (text === undefined || text === null || text === '') return [];
+  return String(text).replace(/\n$/, '').split('\n');
+}
+
+function countLines(text) {
+  return splitLines(text).length;
+}
+
+/**
+ * Line diff via longest common subsequence.
+ * Returns [{ op: ' ' | '-' | '+', line }] in display order.
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(line => ({ op: '-', line })),
+      ...b.map(line => ({ op: '+', line })),
+    ];
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ op: '-', line: a[i++] });
+    } else {
+      ops.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ op: '-', line: a[i++] });
+  while (j < b.length) ops.push({ op: '+', line: b[j++] });
+  return ops;
+}
+
+/**
+ * Group diff ops into hunks: each change with up to `context` unchanged
+ * lines around it, as in a unified diff. Hunks carry 1-based start lines in
+ * the old and new text.
+ * Returns [{ oldStart, newStart, ops }].
+ */
+function diffHunks(ops, context = DIFF_CONTEXT) {
+  const keep = ops.map(() => false);
+  ops.forEach(({ op }, index) => {
+    if (op === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) keep[k] = true;
+  });
+
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach((entry, index) => {
+    if (!keep[index]) {
+      hunk = null;
+    } else {
+      if (!hunk) {
+        hunk = { oldStart: oldLine, newStart: newLine, ops: [] };
+        hunks.push(hunk);
+      }
+      hunk.ops.push(entry);
+    }
+    if (entry.op !== '+') oldLine++;
+    if (entry.op !== '-') newLine++;
+  });
+  return hunks;
+}
+
+function hunkHeader({ oldStart, newStart, ops }) {
+  const oldCount = ops.filter(({ op }) => op !== '+').length;
+  const newCount = ops.filter(({ op }) => op !== '-').length;
+  return `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`;
+}
+
+function renderDiff(oldText, newText, ctx) {
+  const c = ctx.colors;
+  const ops = diffLines(oldText, newText);
+  const hunks = diffHunks(ops);
+  const limit = ctx.maxDiffLines || MAX_DIFF_LINES;
+  // A hunk that is the whole snippet needs no header
+  const headers = hunks.length > 1 || (hunks.length === 1 && hunks[0].ops.length < ops.length);
+
+  const lines = [];
+  let shown = 0;
+  let hidden = 0;
+  hunks.forEach(hunk => {
+    if (shown >= limit) {
+      hidden += hunk.ops.length;
+      return;
+    }
+    if (headers) lines.push(`${c.cyan}${hunkHeader(hunk)}${c.reset}`);
+    hunk.ops.forEach(({ op, line }) => {
+      if (shown >= limit) {
+        hidden++;
+        return;
+      }
+      const color = op === '-' ? c.red : op === '+' ? c.green : c.dim;
+      lines.push(`${color}${op}${line}${c.reset}`);
+      shown++;
+    });
+  });
+  if (hidden > 0) {
+    lines.push(`${c.dim}... (${hidden} more lines)${c.reset}`);
+  }
+  return lines;
+}
+
+function renderEdit(input, ctx) {
+  const c = ctx.colors;
+  const header = `${c.bold}${input.file_path || '(no path)'}${c.reset}${input.replace_all ? ` ${c.dim}(replace all)${c.reset}` : ''}`;
+  return [header, ...renderDiff(input.old_string, input.new_string, ctx)];
+}
+
+function renderMultiEdit(input, ctx) {
+  const c = ctx.colors;
+  const edits = Array.isArray(input.edits) ? input.edits : [];
+  const lines = [`${c.bold}${input.file_path || '(no path)'}${c.reset} ${c.dim}(${edits.length} edits)${c.reset}`];
+  edits.forEach(edit => {
+    lines.push(...renderDiff(edit.old_string, edit.new_string, ctx));
+  });
+  return lines;
+}
+
+function renderWrite(input, ctx) {
+  const c = ctx.colors;
+  const count = countLines(input.content);
+  return [`${c.bold}${input.file_path || '(no path)'}${c.reset} ${c.dim}(${count} ${count === 1 ? 'line' : 'lines'})${c.reset}`];
+}
+
+function renderBash(input, ctx) {
+  const c = ctx.colors;
+  const lines = [];
+  if (input.description) {
+    lines.push(`${c.dim}# ${input.description}${c.reset}`);
+  }
+  const command = ctx.truncate(input.command || '', ctx.maxContentLength);
+  splitLines(command).forEach((line, index) => {
+    lines.push(`${index === 0 ? '$ ' : '  '}${line}`);
+  });
+  return lines;
+}
+
+function renderRead(input, ctx) {
+  const c = ctx.colors;
+  let range = '';
+  if (input.offset || input.limit) {
+    const start = input.offset || 1;
+    range = input.limit ? `lines ${start}-${start + input.limit - 1}` : `from line ${start}`;
+  }
+  return [`${c.bold}${input.file_path || '(no path)'}${c.reset}${range ? ` ${c.dim}(${range})${c.reset}` : ''}`];
+}
+
+function renderSearch(input, ctx) {
+  const c = ctx.colors;
+  const scope = [input.path || '.'];
+  if (input.glob) scope.push(`glob ${input.glob}`);
+  if (input.type) scope.push(`type ${input.type}`);
+  return [`${c.bold}${input.pattern || ''}${c.reset} ${c.dim}in ${scope.join(', ')}${c.reset}`];
+}
+
+function renderTodoWrite(input, ctx) {
+  const c = ctx.colors;
+  const todos = Array.isArray(input.todos) ? input.todos : [];
+  return todos.map(todo => {
+    const glyph = TODO_GLYPHS[todo.status] || TODO_GLYPHS.pending;
+    const color = todo.status === 'completed' ? c.green : todo.status === 'in_progress' ? c.yellow : c.dim;
+    return `${color}${glyph}${c.reset} ${todo.content || ''}`;
+  });
+}
+
+// Subagent launch: what it is for and the start of its prompt
+function renderTask(input, ctx) {
+  const c = ctx.colors;
+  const type = input.subagent_type ? ` ${c.dim}(${input.subagent_type})${c.reset}` : '';
+  const lines = [`${c.bold}${input.description || '(no description)'}${c.reset}${type}`];
+  const [prompt] = splitLines(input.prompt);
+  if (prompt) lines.push(`${c.dim}${ctx.truncate(prompt, ctx.maxToolInputLength)}${c.reset}`);
+  return lines;
+}
+
+function renderGeneric(input, ctx) {
+  const c = ctx.colors;
+  const json = input ? JSON.stringify(input) : '{}';
+  return [`${c.dim}input: ${ctx.truncate(json, ctx.maxToolInputLength)}${c.reset}`];
+}
+
+const defaultRenderers = {
+  Edit: renderEdit,
+  MultiEdit: renderMultiEdit,
+  Write: renderWrite,
+  Bash: renderBash,
+  Read: renderRead,
+  Grep: renderSearch,
+  Glob: renderSearch,
+  TodoWrite: renderTodoWrite,
+  Task: renderTask,
+  Agent: renderTask,
+};
+
+/**
+ * Registry of tool renderers keyed by tool name.
+ *
+ * @param {object} [extra] - Project renderers, override defaults by name
+ */
+function createRendererRegistry(extra = {}) {
+  const renderers = Object.assign(Object.create(null), defaultRenderers, extra);
+
+  function register(name, renderer) {
+    if (typeof renderer !== 'function') {
+      throw new TypeError(`Renderer for ${name} must be a function`);
+    }
+    renderers[name] = renderer;
+  }
+
+  // A throwing renderer must not take the formatter down with it
+  function render(name, input, ctx) {
+    const renderer = renderers[name] || renderGeneric;
+    try {
+      return renderer(input || {}, ctx);
+    } catch {
+      return renderGeneric(input, ctx);
+    }
+  }
+
+  return {
+    register,
+    render,
+    has: (name) => name in renderers,
+  };
+}
+
+module.exports = {
+  createRendererRegistry,
+  defaultRenderers,
+  renderGeneric,
+  diffLines,
+  diffHunks,
+  countLines,
+  TODO_GLYPHS,
+};
@@ -4,4 +4,4 @@
 set -euo pipefail
 
 # Use the Node.js formatter for rich output
-node /home/ralph/workspace/lib/output-formatter.js
+node /home/ralph/lib/output-formatter.js
@@ -6,6 +6,23 @@ set -euo pipefail
 
 # Track start time for session duration
 SESSION_START=$(date +%s)
+# The formatter measures the wall-clock budget from here
+export RALPH_SESSION_START="$SESSION_START"
+
+# Pretty output formatter (see scripts/format-output.sh)
+FORMATTER=/home/ralph/lib/output-formatter.js
+# Runs claude with idle and iteration timeouts (RALPH_IDLE_TIMEOUT, RALPH_ITERATION_TIMEOUT)
+# and retries transient API failures with backoff (RALPH_RETRY_MAX, RALPH_RETRY_BASE_SECONDS)
+RUN_CONTROLLER=/home/ralph/lib/run-controller.js
+
+# Formatter exit codes (mirror lib/exit-codes.js)
+EXIT_BUDGET_EXCEEDED=10
+EXIT_GUARD_VIOLATION=11
+EXIT_MODEL_NOT_FOUND=20
+EXIT_CONNECTION_FAILED=21
+EXIT_AUTH_FAILED=22
+EXIT_CONTEXT_WINDOW_EXCEEDED=24
+EXIT_TIMED_OUT=28
 
 # Colors
 RED='\033[0;31m'
@@ -33,6 +50,10 @@ generate_work_summary() {
         echo -e "  ${YELLOW}Ralph Session Interrupted${NC}"
     elif [ "$exit_reason" = "error" ]; then
         echo -e "  ${RED}Ralph Session Ended (Error)${NC}"
+    elif [ "$exit_reason" = "budget" ]; then
+        echo -e "  ${YELLOW}Ralph Session Stopped (Budget Exceeded)${NC}"
+    elif [ "$exit_reason" = "guard" ]; then
+        echo -e "  ${RED}Ralph Session Stopped (Dangerous Command Blocked)${NC}"
     else
         echo -e "  ${GREEN}Ralph Session Complete${NC}"
     fi
@@ -71,14 +92,13 @@ generate_work_summary() {
         echo "  No commits made during this session"
     fi
 
-    # Implementation plan summary if exists
+    # Implementation plan progress and the items this session checked off
     if [ -f "IMPLEMENTATION_PLAN.md" ]; then
-        local completed_count=$(grep -c "^## Completed" IMPLEMENTATION_PLAN.md 2>/dev/null || echo "0")
-        local current_count=$(grep -c "^## Current Focus" IMPLEMENTATION_PLAN.md 2>/dev/null || echo "0")
-        if [ "$completed_count" -gt 0 ] || [ "$current_count" -gt 0 ]; then
+        local plan_status=$(node "$FORMATTER" --plan-summary 2>/dev/null || true)
+        if [ -n "$plan_status" ]; then
             echo ""
             echo "  Plan Status:"
-            echo "    See IMPLEMENTATION_PLAN.md for details"
+            echo "$plan_status" | sed 's/^/    /'
         fi
     fi
 
@@ -205,6 +225,15 @@ if [ ! -f "$PROMPT_FILE" ]; then
     exit 1
 fi
 
+# Verify ralph's own modules are installed - without them every iteration
+# would end at once and the loop would never stop
+for module in "$RUN_CONTROLLER" "$FORMATTER"; do
+    if [ ! -f "$module" ]; then
+        log_error "Ralph module not found: $module"
+        exit 1
+    fi
+done
+
 # Read prompt content now (before any git operations that might stash/remove files)
 PROMPT_CONTENT=$(cat "$PROMPT_FILE")
 
@@ -213,6 +242,7 @@ MODEL_ARG="--model $MODEL"
 
 # Iteration counter
 ITERATION=0
+STOP_REASON=""
 
 # Verify we're in a git repo
 if ! git rev-parse --git-dir &>/dev/null; then
@@ -251,6 +281,15 @@ if [ "$DID_STASH" = true ]; then
     git stash pop 2>/dev/null || log_warn "Stash pop failed (changes may conflict)"
 fi
 
+# Formatter state (session ledger, logs) lives in .ralph/ - keep it out of Ralph's commits
+if ! grep -qx '.ralph/' "$(git rev-parse --git-dir)/info/exclude" 2>/dev/null; then
+    mkdir -p "$(git rev-parse --git-dir)/info"
+    echo '.ralph/' >> "$(git rev-parse --git-dir)/info/exclude"
+fi
+
+# The formatter keys its session ledger by branch and iteration
+export RALPH_BRANCH
+
 log_info "Starting loop..."
 log_info "Prompt: $PROMPT_FILE"
 log_info "Model: $MODEL"
@@ -267,7 +306,10 @@ echo ""
 
 # Temp file for capturing output
 OUTPUT_TMP=$(mktemp)
-trap 'rm -f "$OUTPUT_TMP"' EXIT
+# The formatter writes how each iteration ended here
+VERDICT_TMP=$(mktemp)
+export RALPH_VERDICT_FILE="$VERDICT_TMP"
+trap 'rm -f "$OUTPUT_TMP" "$VERDICT_TMP"' EXIT
 
 # Output formatting command
 format_output() {
@@ -278,46 +320,24 @@ format_output() {
     fi
 }
 
-# Check for critical errors in output
-# Only check the result JSON line, not the full conversation
-check_for_errors() {
-    local output_file="$1"
-
-    # Extract just the final result line (contains "type":"result")
-    local result_line
-    result_line=$(grep '"type":"result"' "$output_file" 2>/dev/null | tail -1)
-
-    # If no result line, check for startup errors in full output
-    if [[ -z "$result_line" ]]; then
-        # Check for model not found during startup (LiteLLM specific error)
-        if grep -q "OllamaException.*not found\|litellm.*model.*not found" "$output_file" 2>/dev/null; then
-            log_error "Model not found: $MODEL"
-            echo ""
-            log_error "Available models - check litellm-config.yaml or run: ollama list"
-            return 1
-        fi
-
-        # Check for connection errors
-        if grep -q "APIConnectionError\|Connection refused\|ECONNREFUSED" "$output_file" 2>/dev/null; then
-            log_error "Connection error - is Ollama running?"
-            return 1
-        fi
-    fi
-
-    # Check result line for errors
-    if [[ -n "$result_line" ]]; then
-        if echo "$result_line" | grep -q '"is_error":true'; then
-            # Extract error message if present
-            local errors
-            errors=$(echo "$result_line" | grep -o '"errors":\[[^]]*\]' | head -1)
-            if [[ -n "$errors" ]]; then
-                log_warn "Session completed with errors"
-                # Don't fail - Ralph might have partially succeeded
-            fi
-        fi
+# How the iteration ended, as a verdict from lib/error-classifier.js. Pretty
+# output classifies the stream as it ends and exits with the verdict's code;
+# plain output has no formatter, so the captured stream is classified here.
+# Sets VERDICT_EXIT and leaves the verdict JSON in $VERDICT_TMP.
+classify_iteration() {
+    if [ "$OUTPUT_FORMAT" = "pretty" ] && [ -s "$VERDICT_TMP" ]; then
+        VERDICT_EXIT=$FORMAT_EXIT
+        return
     fi
+    set +e
+    node "$FORMATTER" --classify < "$OUTPUT_TMP" > "$VERDICT_TMP" 2>/dev/null
+    VERDICT_EXIT=$?
+    set -e
+}
 
-    return 0
+# One field of the last verdict
+verdict_field() {
+    node -e 'try { const verdict = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8")); process.stdout.write(String(verdict[process.argv[2]] ?? "")); } catch {}' "$VERDICT_TMP" "$1"
 }
 
 # Main loop
@@ -333,6 +353,7 @@ while true; do
     fi
 
     ITERATION=$((ITERATION + 1))
+    export RALPH_ITERATION="$ITERATION"
     echo ""
     echo "┌─────────────────────────────────────────────┐"
     echo "│  ITERATION $ITERATION                                  │"
@@ -340,31 +361,75 @@ while true; do
     echo ""
 
     # Run Claude with the prompt, capture output for error checking
+    # The run controller kills it if it goes quiet or runs too long, and
+    # runs it again after rate limits, dropped connections and 5xx errors
     # -p: Headless mode (non-interactive)
     # --dangerously-skip-permissions: Auto-approve tool calls
     # --output-format=stream-json: Structured output for filtering
-    echo "$PROMPT_CONTENT" | claude -p \
+    # Non-zero exits are inspected below rather than tripping set -e
+    : > "$VERDICT_TMP"
+    set +e
+    echo "$PROMPT_CONTENT" | node "$RUN_CONTROLLER" -- claude -p \
         --dangerously-skip-permissions \
         --output-format=stream-json \
         $MODEL_ARG \
         --verbose 2>&1 | tee "$OUTPUT_TMP" | format_output
+    PIPE_STATUS=("${PIPESTATUS[@]}")
+    set -e
 
-    CLAUDE_EXIT=${PIPESTATUS[0]}
+    CLAUDE_EXIT=${PIPE_STATUS[1]}
+    FORMAT_EXIT=${PIPE_STATUS[3]}
 
-    # Check for critical errors
-    if ! check_for_errors "$OUTPUT_TMP"; then
-        log_error "Critical error detected, stopping loop"
-        echo ""
-        echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
-        echo "  Raw error output:"
-        echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
-        # Show last 50 lines of raw output for debugging
-        tail -50 "$OUTPUT_TMP"
-        generate_work_summary "error"
-        exit 1
+    # The formatter stops the pipeline when a RALPH_BUDGET_* limit is exceeded
+    if [ "$FORMAT_EXIT" -eq "$EXIT_BUDGET_EXCEEDED" ]; then
+        log_warn "Budget exceeded during iteration $ITERATION, stopping loop"
+        STOP_REASON="budget"
+        break
     fi
 
-    if [ "$CLAUDE_EXIT" -ne 0 ]; then
+    # The formatter stops the pipeline when a command guard rule set to abort matches
+    if [ "$FORMAT_EXIT" -eq "$EXIT_GUARD_VIOLATION" ]; then
+        log_error "Dangerous command blocked during iteration $ITERATION, stopping loop"
+        log_error "The offending event is in the violations log (default .ralph/violations.ndjson)"
+        STOP_REASON="guard"
+        break
+    fi
+
+    # Act on how the iteration ended (categories in lib/error-classifier.js)
+    classify_iteration
+    case "$VERDICT_EXIT" in
+        0) ;;
+        "$EXIT_MODEL_NOT_FOUND"|"$EXIT_CONNECTION_FAILED"|"$EXIT_AUTH_FAILED"|"$EXIT_CONTEXT_WINDOW_EXCEEDED")
+            # Another iteration would fail the same way (connection errors only land here once retries ran out)
+            log_error "$(verdict_field message)"
+            if [ "$VERDICT_EXIT" -eq "$EXIT_MODEL_NOT_FOUND" ]; then
+                echo ""
+                log_error "Available models - check litellm-config.yaml or run: ollama list"
+            fi
+            log_error "Critical error detected, stopping loop"
+            echo ""
+            echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
+            echo "  Raw error output:"
+            echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
+            # Show last 50 lines of raw output for debugging
+            tail -50 "$OUTPUT_TMP"
+            generate_work_summary "error"
+            exit 1
+            ;;
+        "$EXIT_TIMED_OUT")
+            # The supervisor already stopped claude; the next iteration starts fresh
+            log_warn "Iteration $ITERATION timed out: $(verdict_field detail)"
+            ;;
+        *)
+            # Rate limits, turn limits, failed tool calls: Ralph might have partially succeeded
+            verdict_message=$(verdict_field message)
+            if [ -n "$verdict_message" ]; then
+                log_warn "Iteration $ITERATION: $verdict_message"
+            fi
+            ;;
+    esac
+
+    if [ "$CLAUDE_EXIT" -ne 0 ] && [ "$CLAUDE_EXIT" -ne "$EXIT_TIMED_OUT" ]; then
         log_warn "Claude exited with code $CLAUDE_EXIT"
         # Show some context on non-zero exit
         echo "Last output:"
@@ -413,10 +478,13 @@ while true; do
 done
 
 # Generate work summary
-generate_work_summary "completed"
+generate_work_summary "${STOP_REASON:-completed}"
 
-# Clean up scaffolding files if configured
-if [ "${RALPH_CLEANUP_SCAFFOLDING:-true}" = "true" ]; then
+# Clean up scaffolding files if configured. After a blocked command nothing
+# is committed or pushed: the working tree is left as it is for review.
+if [ "$STOP_REASON" = "guard" ]; then
+    log_warn "Skipping scaffolding cleanup and push after the blocked command"
+elif [ "${RALPH_CLEANUP_SCAFFOLDING:-true}" = "true" ]; then
     cleanup_scaffolding
 else
     log_info "Scaffolding cleanup disabled (RALPH_CLEANUP_SCAFFOLDING=false)"
@@ -12,9 +12,12 @@ if [ ! -d "tests" ]; then
     exit 1
 fi
 
-# Run output formatter tests
-echo "Running output formatter tests..."
-node tests/test_output_formatter.js
+# Run Node.js tests (output formatter and its modules)
+for test_file in tests/test_*.js; do
+    echo "Running $(basename "$test_file" .js)..."
+    node "$test_file"
+    echo ""
+done
 
 echo ""
 echo "All tests completed successfully!"
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Ralph Test Helpers
+ *
+ * The suite class and runner shared by the tests/test_*.js suites. A suite
+ * extends TestSuite and calls its test groups from runTests():
+ *
+ *   class BudgetTests extends TestSuite {
+ *     runTests() {
+ *       this.testLimits();
+ *     }
+ *   }
+ *
+ *   if (require.main === module) {
+ *     runSuite(new BudgetTests('Budget'));
+ *   }
+ */
+
+class TestSuite {
+  constructor(name) {
+    this.name = name;
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  // Async tests return a promise for the suite to await; sync ones are done on return
+  test(name, testFn) {
+    const pass = () => {
+      console.log(`✓ ${name}`);
+      this.passed++;
+    };
+    const fail = (error) => {
+      console.log(`✗ ${name}`);
+      console.log(`  Error: ${error.message}`);
+      this.failed++;
+    };
+    let result;
+    try {
+      result = testFn();
+    } catch (error) {
+      fail(error);
+      return undefined;
+    }
+    if (result && typeof result.then === 'function') return result.then(pass, fail);
+    pass();
+    return undefined;
+  }
+
+  // Calls the suite's test groups
+  runTests() {}
+
+  async run() {
+    console.log(`Running ${this.name} Tests...\n`);
+
+    await this.runTests();
+
+    console.log(`\nTest Results: ${this.passed} passed, ${this.failed} failed`);
+    return this.failed === 0;
+  }
+}
+
+// Runs a suite and exits with its outcome
+async function runSuite(suite) {
+  const passed = await suite.run();
+
+  console.log('\n' + '='.repeat(50));
+  if (passed) {
+    console.log('All tests passed! 🎉');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed! 💥');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  TestSuite,
+  runSuite,
+};
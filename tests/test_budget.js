@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Budget Tracker
+ *
+ * Covers limit parsing and threshold/exceeded logic in lib/budget.js
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const {
+  createBudgetTracker,
+  budgetFromConfig,
+  hasLimits,
+} = require(path.join(__dirname, '../lib/budget.js'));
+
+// Test Suite
+class BudgetTests extends TestSuite {
+  runTests() {
+    this.testBudgetFromConfig();
+    this.testTracker();
+  }
+
+  testBudgetFromConfig() {
+    this.test('budgetFromConfig() - converts limits', () => {
+      const budget = budgetFromConfig({ usd: 5, outputTokens: 200000, minutes: 90, warnAt: [25, 75] });
+      assert.deepStrictEqual(budget, {
+        maxUsd: 5,
+        maxOutputTokens: 200000,
+        maxWallClockMs: 5400000,
+        warnAt: [0.25, 0.75],
+      });
+    });
+
+    this.test('budgetFromConfig() - unset or zero means no limit', () => {
+      const budget = budgetFromConfig({ usd: null, minutes: 0 });
+      assert.strictEqual(budget.maxUsd, null);
+      assert.strictEqual(budget.maxWallClockMs, null);
+      assert.deepStrictEqual(budget.warnAt, [0.5, 0.8]);
+      assert(!hasLimits(budget));
+    });
+
+    this.test('hasLimits() - any limit counts', () => {
+      assert(hasLimits({ maxOutputTokens: 1 }));
+      assert(!hasLimits(null));
+    });
+  }
+
+  testTracker() {
+    this.test('check() - warnings in threshold order', () => {
+      const tracker = createBudgetTracker({ maxUsd: 10, warnAt: [0.8, 0.5] });
+      const { warnings, exceeded } = tracker.check({ costUsd: 9 });
+      assert.deepStrictEqual(warnings.map(w => w.threshold), [0.5, 0.8]);
+      assert.strictEqual(exceeded, null);
+      assert.deepStrictEqual(tracker.check({ costUsd: 9.5 }).warnings, []);
+    });
+
+    this.test('check() - exceeded reported once', () => {
+      const tracker = createBudgetTracker({ maxOutputTokens: 100 });
+      assert.deepStrictEqual(tracker.check({ outputTokens: 101 }).exceeded, { limit: 'outputTokens', used: 101, max: 100 });
+      assert(tracker.isExceeded());
+      assert.strictEqual(tracker.check({ outputTokens: 500 }).exceeded, null);
+    });
+
+    this.test('check() - exactly at limit is not exceeded', () => {
+      const tracker = createBudgetTracker({ maxUsd: 1 });
+      assert.strictEqual(tracker.check({ costUsd: 1 }).exceeded, null);
+    });
+
+    this.test('baseline - thresholds already passed stay quiet', () => {
+      const tracker = createBudgetTracker({ maxUsd: 10, warnAt: [0.5, 0.8] }, { costUsd: 6 });
+      const { warnings } = tracker.check({ costUsd: 8.5 });
+      assert.deepStrictEqual(warnings.map(w => w.threshold), [0.8]);
+    });
+
+    this.test('limits are independent', () => {
+      const tracker = createBudgetTracker({ maxUsd: 10, maxWallClockMs: 1000, warnAt: [0.5] });
+      const { warnings } = tracker.check({ costUsd: 6, wallClockMs: 600 });
+      assert.deepStrictEqual(warnings.map(w => w.limit), ['costUsd', 'wallClockMs']);
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new BudgetTests('Budget'));
+}
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Formatter Config
+ *
+ * Covers config file discovery, schema validation, environment overrides and
+ * layer merging in lib/config.js against a temporary directory
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const {
+  loadConfigFile,
+  configFromEnv,
+  mergeConfig,
+  validateConfig,
+  parseToolVerbosity,
+  parseGuardRules,
+} = require(path.join(__dirname, '../lib/config.js'));
+
+// Test Suite
+class ConfigTests extends TestSuite {
+  constructor(name) {
+    super(name);
+    this.tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph_tests_config_'));
+  }
+
+  runTests() {
+    try {
+      this.testValidation();
+      this.testConfigFile();
+      this.testEnv();
+      this.testMerge();
+    } finally {
+      fs.rmSync(this.tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  // A fresh workspace holding the given files
+  workspace(name, files = {}) {
+    const dir = path.join(this.tmpDir, name);
+    fs.mkdirSync(dir);
+    Object.entries(files).forEach(([file, content]) => fs.writeFileSync(path.join(dir, file), content));
+    return dir;
+  }
+
+  testValidation() {
+    this.test('validateConfig() - accepts every setting', () => {
+      assert.deepStrictEqual(validateConfig({
+        maxContentLength: 1000,
+        maxToolInputLength: 100,
+        maxDiffLines: 20,
+        maxResultLength: 500,
+        verbosity: 'quiet',
+        toolVerbosity: { Bash: 'verbose' },
+        hiddenTools: ['TodoWrite'],
+        thinking: 'full',
+        markdown: false,
+        theme: 'monochrome',
+        statusBar: true,
+        redactPatterns: ['secret-[0-9]+'],
+        logs: { record: true, dir: 'logs', maxMb: 10, keep: 5 },
+        ledgerDir: 'ledger',
+        guard: { rules: { 'force-push': 'warn', 'pipe-to-shell': 'off' }, log: 'violations.ndjson' },
+        retry: { maxRetries: 0, baseSeconds: 5, maxSeconds: 60 },
+        budget: { usd: 5, outputTokens: null, minutes: 60, warnAt: [50, 90] }
+      }), []);
+    });
+
+    this.test('validateConfig() - reports every problem with its path', () => {
+      const problems = validateConfig({
+        maxDiffLines: 0,
+        verbosity: 'loud',
+        toolVerbosity: { Bash: 'all' },
+        hiddenTools: 'Read',
+        redactPatterns: ['('],
+        logs: { keep: 1.5 },
+        budget: { usd: '5' }
+      });
+      assert.strictEqual(problems.length, 7);
+      assert.strictEqual(problems[0], 'maxDiffLines must be an integer >= 1 (got 0)');
+      assert.strictEqual(problems[1], 'verbosity must be one of quiet, normal, verbose (got "loud")');
+      assert(problems[2].startsWith('toolVerbosity.Bash must be one of'));
+      assert.strictEqual(problems[3], 'hiddenTools must be an array (got "Read")');
+      assert(problems[4].startsWith('redactPatterns[0] is not a valid regular expression'));
+      assert.strictEqual(problems[5], 'logs.keep must be an integer >= 1 (got 1.5)');
+      assert.strictEqual(problems[6], 'budget.usd must be a number > 0 (got "5")');
+    });
+
+    this.test('validateConfig() - unknown keys are typos', () => {
+      const problems = validateConfig({ verbose: true, logs: { directory: 'x' } });
+      assert(problems[0].startsWith('verbose is not a known setting (expected one of maxContentLength'));
+      assert(problems[1].startsWith('logs.directory is not a known setting (expected one of record, dir, maxMb, keep)'));
+    });
+
+    this.test('validateConfig() - guard rules are checked by name and action', () => {
+      const problems = validateConfig({ guard: { rules: { 'force-psuh': 'warn', 'env-file-edit': 'block' } } });
+      assert(problems[0].startsWith('guard.rules.force-psuh is not a known setting (expected one of rm-outside-workspace, force-push'));
+      assert.strictEqual(problems[1], 'guard.rules.env-file-edit must be one of off, warn, abort (got "block")');
+    });
+
+    this.test('validateConfig() - top level must be an object', () => {
+      assert.deepStrictEqual(validateConfig([]), ['config must be an object (got [])']);
+    });
+  }
+
+  testConfigFile() {
+    this.test('loadConfigFile() - no file', () => {
+      assert.deepStrictEqual(loadConfigFile(this.workspace('empty')), { file: null, config: {} });
+    });
+
+    this.test('loadConfigFile() - .ralphrc.json', () => {
+      const dir = this.workspace('json', { '.ralphrc.json': '{ "theme": "monochrome", "hiddenTools": ["TodoWrite"] }' });
+      assert.deepStrictEqual(loadConfigFile(dir), {
+        file: path.join(dir, '.ralphrc.json'),
+        config: { theme: 'monochrome', hiddenTools: ['TodoWrite'] }
+      });
+    });
+
+    this.test('loadConfigFile() - ralph.config.js', () => {
+      const dir = this.workspace('js', { 'ralph.config.js': 'module.exports = { budget: { usd: 2 * 5 } };' });
+      assert.deepStrictEqual(loadConfigFile(dir).config, { budget: { usd: 10 } });
+    });
+
+    this.test('loadConfigFile() - invalid settings listed', () => {
+      const dir = this.workspace('invalid', { '.ralphrc.json': '{ "verbosity": "loud", "maxDiffLines": -1 }' });
+      assert.throws(() => loadConfigFile(dir), (error) => {
+        assert.strictEqual(error.message, [
+          'Invalid .ralphrc.json:',
+          '  - verbosity must be one of quiet, normal, verbose (got "loud")',
+          '  - maxDiffLines must be an integer >= 1 (got -1)'
+        ].join('\n'));
+        return true;
+      });
+    });
+
+    this.test('loadConfigFile() - broken JSON and scripts', () => {
+      const json = this.workspace('broken-json', { '.ralphrc.json': '{ "theme": ' });
+      assert.throws(() => loadConfigFile(json), /\.ralphrc\.json is not valid JSON/);
+      const js = this.workspace('broken-js', { 'ralph.config.js': 'throw new Error("nope");' });
+      assert.throws(() => loadConfigFile(js), /ralph\.config\.js failed to load: nope/);
+    });
+
+    this.test('loadConfigFile() - both files is ambiguous', () => {
+      const dir = this.workspace('both', { '.ralphrc.json': '{}', 'ralph.config.js': 'module.exports = {};' });
+      assert.throws(() => loadConfigFile(dir), /Found both \.ralphrc\.json and ralph\.config\.js/);
+    });
+  }
+
+  testEnv() {
+    this.test('configFromEnv() - maps variables to settings', () => {
+      assert.deepStrictEqual(configFromEnv({
+        RALPH_VERBOSITY: 'quiet',
+        RALPH_TOOL_VERBOSITY: 'Read=quiet',
+        RALPH_HIDDEN_TOOLS: 'TodoWrite, Glob',
+        RALPH_SUBAGENTS: 'summary',
+        RALPH_STATUS_BAR: 'true',
+        RALPH_RECORD: 'false',
+        RALPH_LOG_MAX_MB: '5',
+        RALPH_BUDGET_USD: '2.5',
+        RALPH_BUDGET_MINUTES: '0',
+        RALPH_BUDGET_WARN_AT: '25,75',
+        RALPH_IDLE_TIMEOUT: '90',
+        RALPH_ITERATION_TIMEOUT: '0',
+        RALPH_RETRY_MAX: '0',
+        RALPH_RETRY_BASE_SECONDS: '2'
+      }), {
+        verbosity: 'quiet',
+        toolVerbosity: { Read: 'quiet' },
+        hiddenTools: ['TodoWrite', 'Glob'],
+        subagents: 'summary',
+        statusBar: true,
+        logs: { record: false, maxMb: 5 },
+        budget: { usd: 2.5, minutes: null, warnAt: [25, 75] },
+        timeouts: { idleSeconds: 90, iterationMinutes: null },
+        retry: { maxRetries: 0, baseSeconds: 2 }
+      });
+    });
+
+    this.test('configFromEnv() - empty is unset, invalid is skipped', () => {
+      const warnings = [];
+      const config = configFromEnv({
+        RALPH_THEME: '',
+        RALPH_THINKING: 'loud',
+        RALPH_TOOL_VERBOSITY: 'Read',
+        RALPH_LOG_KEEP: 'many'
+      }, (message) => warnings.push(message));
+      assert.deepStrictEqual(config, {});
+      assert.deepStrictEqual(warnings, [
+        'Ignoring RALPH_TOOL_VERBOSITY: Invalid tool verbosity "Read" (expected Tool=quiet|normal|verbose)',
+        'Ignoring RALPH_THINKING=loud: thinking must be one of hide, summary, full',
+        'Ignoring RALPH_LOG_KEEP=many: logs.keep must be an integer >= 1'
+      ]);
+    });
+
+    this.test('parseGuardRules() - pairs and errors', () => {
+      assert.deepStrictEqual(parseGuardRules('force-push=warn, pipe-to-shell=off'), { 'force-push': 'warn', 'pipe-to-shell': 'off' });
+      assert.throws(() => parseGuardRules('force=warn'), /Invalid guard rule "force=warn"/);
+      assert.throws(() => parseGuardRules('force-push=block'), /Invalid guard rule/);
+      assert.deepStrictEqual(configFromEnv({ RALPH_GUARD: 'workflow-edit=abort' }), { guard: { rules: { 'workflow-edit': 'abort' } } });
+    });
+
+    this.test('parseToolVerbosity() - pairs and errors', () => {
+      assert.deepStrictEqual(parseToolVerbosity('Read=quiet, Bash=verbose'), { Read: 'quiet', Bash: 'verbose' });
+      assert.throws(() => parseToolVerbosity('Bash=loud'), /Invalid tool verbosity "Bash=loud"/);
+    });
+  }
+
+  testMerge() {
+    this.test('mergeConfig() - later layers win, nested settings merge', () => {
+      const merged = mergeConfig(
+        { theme: 'default', logs: { dir: 'a', keep: 10 }, hiddenTools: ['Read'] },
+        { theme: 'monochrome', logs: { keep: 3 }, hiddenTools: ['Bash'] },
+        { logs: { dir: 'b' } }
+      );
+      assert.deepStrictEqual(merged, { theme: 'monochrome', logs: { dir: 'b', keep: 3 }, hiddenTools: ['Bash'] });
+    });
+
+    this.test('mergeConfig() - layers are not modified', () => {
+      const base = { logs: { dir: 'a' } };
+      mergeConfig(base, { logs: { dir: 'b' } });
+      assert.deepStrictEqual(base, { logs: { dir: 'a' } });
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new ConfigTests('Config'));
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Error Classifier
+ *
+ * Covers how lib/error-classifier.js reads a stream's failures into a verdict
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const { createErrorClassifier, classifyStream, CATEGORIES } = require(path.join(__dirname, '../lib/error-classifier.js'));
+const { EXIT_CODES } = require(path.join(__dirname, '../lib/exit-codes.js'));
+
+const stream = (...events) => events.map(event => (typeof event === 'string' ? event : JSON.stringify(event))).join('\n');
+
+const INIT = { type: 'system', subtype: 'init', model: 'qwen3-coder' };
+const failedResult = (result, extra = {}) => ({ type: 'result', subtype: 'success', is_error: true, result, ...extra });
+
+// Test Suite
+class ErrorClassifierTests extends TestSuite {
+  runTests() {
+    this.testCategories();
+    this.testSources();
+    this.testVerdict();
+  }
+
+  testCategories() {
+    this.test('classifyStream() - model not found, named from the init event', () => {
+      const verdict = classifyStream(stream(INIT, 'litellm.NotFoundError: OllamaException - {"error":"model \'qwen3-coder\' not found"}'));
+      assert.deepStrictEqual(
+        [verdict.category, verdict.message, verdict.retryable, verdict.exitCode],
+        ['model-not-found', 'Model not found: qwen3-coder', false, EXIT_CODES.MODEL_NOT_FOUND]
+      );
+    });
+
+    this.test('classifyStream() - proxy unreachable', () => {
+      ['litellm.APIConnectionError: connect failed', 'Error: connect ECONNREFUSED 127.0.0.1:4000']
+        .forEach(line => assert.strictEqual(classifyStream(line).category, 'connection', line));
+      assert.strictEqual(classifyStream(stream(failedResult('API Error: Connection error.'))).category, 'connection');
+    });
+
+    this.test('classifyStream() - authentication, rate limits, server errors and context window', () => {
+      const cases = {
+        'Invalid API key · Please run /login': 'auth',
+        'API Error: 401 {"type":"error","error":{"type":"authentication_error"}}': 'auth',
+        'API Error: 429 {"type":"error","error":{"type":"rate_limit_error"}}': 'rate-limit',
+        'API Error: 529 Overloaded': 'rate-limit',
+        'API Error: 502 Bad Gateway': 'server-error',
+        'litellm.InternalServerError: OllamaException - internal server error': 'server-error',
+        'Prompt is too long': 'context-window',
+        'input length and `max_tokens` exceed context limit: 198000 + 8192 > 200000': 'context-window',
+      };
+      Object.entries(cases).forEach(([text, category]) => {
+        assert.strictEqual(classifyStream(stream(failedResult(text))).category, category, text);
+      });
+    });
+
+    this.test('classifyStream() - max turns', () => {
+      const verdict = classifyStream(stream({ type: 'result', subtype: 'error_max_turns', is_error: false, num_turns: 50 }));
+      assert.deepStrictEqual([verdict.category, verdict.message, verdict.exitCode], ['max-turns', 'Reached the maximum number of turns (50)', EXIT_CODES.MAX_TURNS]);
+    });
+
+    this.test('classifyStream() - a supervisor timeout outranks earlier errors', () => {
+      const verdict = classifyStream(stream(
+        { type: 'error', error: { type: 'overloaded_error' } },
+        { type: 'system', subtype: 'timeout', reason: 'idle', message: 'No events for 600s while waiting on the model; stopped claude' }
+      ));
+      assert.deepStrictEqual(
+        [verdict.category, verdict.message, verdict.detail, verdict.exitCode],
+        ['timeout', 'Timed out (idle)', 'No events for 600s while waiting on the model; stopped claude', EXIT_CODES.TIMED_OUT]
+      );
+    });
+
+    this.test('classifyStream() - failed tool calls in a finished run', () => {
+      const verdict = classifyStream(stream(
+        { type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 'a', is_error: true, content: 'ECONNREFUSED' }] } },
+        { type: 'tool_result', is_error: true },
+        { type: 'result', subtype: 'success', is_error: false }
+      ));
+      assert.deepStrictEqual([verdict.category, verdict.message, verdict.toolErrors], ['tool-errors', '2 tool calls failed', 2]);
+    });
+
+    this.test('classifyStream() - unrecognised failures', () => {
+      const verdict = classifyStream(stream({ type: 'result', subtype: 'error_during_execution', is_error: true }));
+      assert.deepStrictEqual([verdict.category, verdict.detail, verdict.exitCode], ['error', 'error_during_execution', EXIT_CODES.ITERATION_FAILED]);
+    });
+  }
+
+  testSources() {
+    this.test('sources - agent text and tool output are not errors', () => {
+      const verdict = classifyStream(stream(
+        { type: 'assistant', message: { model: 'claude', content: [{ type: 'text', text: 'The rate limit handler returns 429 on ECONNREFUSED' }] } },
+        { type: 'result', subtype: 'success', is_error: false }
+      ));
+      assert.strictEqual(verdict.category, 'ok');
+    });
+
+    this.test('sources - CLI API error messages and error events', () => {
+      const synthetic = { type: 'assistant', message: { model: '<synthetic>', content: [{ type: 'text', text: 'API Error: 429 rate_limit_error' }] } };
+      assert.strictEqual(classifyStream(stream(synthetic)).category, 'rate-limit');
+      const event = { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } };
+      assert.strictEqual(classifyStream(`data: ${JSON.stringify(event)}`).detail, 'overloaded_error: Overloaded');
+      assert.strictEqual(classifyStream('event: error\ndata: litellm.APIConnectionError: Connection refused\n\n').category, 'connection');
+    });
+
+    this.test('sources - a successful result wins over retried errors', () => {
+      const verdict = classifyStream(stream({ type: 'error', error: { type: 'overloaded_error' } }, { type: 'result', subtype: 'success' }));
+      assert.strictEqual(verdict.category, 'ok');
+    });
+  }
+
+  testVerdict() {
+    this.test('verdict - a retry from the run controller starts over', () => {
+      const verdict = classifyStream(stream(
+        failedResult('API Error: 503 Service Unavailable'),
+        { type: 'system', subtype: 'retry', attempt: 1, category: 'server-error' },
+        INIT,
+        { type: 'result', subtype: 'success', is_error: false }
+      ));
+      assert.strictEqual(verdict.category, 'ok');
+    });
+
+    this.test('verdict - the first recognised error wins', () => {
+      const classifier = createErrorClassifier();
+      classifier.observeText('Error: connect ECONNREFUSED 127.0.0.1:4000');
+      classifier.observe(failedResult('API Error: 429'));
+      assert.strictEqual(classifier.verdict().category, 'connection');
+    });
+
+    this.test('verdict - long details are cut to one line', () => {
+      const { detail } = classifyStream(stream(failedResult(`Prompt is too long ${'x'.repeat(400)}\nsecond line`)));
+      assert.strictEqual(detail.length, 300);
+      assert(detail.endsWith('...'));
+    });
+
+    this.test('CATEGORIES - every category has its own exit code', () => {
+      const codes = Object.values(CATEGORIES).map(category => category.exitCode);
+      assert.strictEqual(new Set(codes).size, codes.length);
+      codes.forEach(code => assert(Object.values(EXIT_CODES).includes(code), String(code)));
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new ErrorClassifierTests('Error Classifier'));
+}
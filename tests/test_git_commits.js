@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Commit Detection
+ *
+ * Covers spotting `git commit` in shell commands and reading its output in
+ * lib/git-commits.js
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const { isGitCommit, parseCommitOutput, gitSubcommand } = require(path.join(__dirname, '../lib/git-commits.js'));
+
+// Test Suite
+class GitCommitsTests extends TestSuite {
+  runTests() {
+    this.testDetection();
+    this.testCommits();
+    this.testFailures();
+  }
+
+  testDetection() {
+    this.test('isGitCommit() - commits anywhere in the command', () => {
+      ['git commit -m "Fix"', 'git add -A && git commit -am "a; b"', 'cd repo; GIT_AUTHOR_NAME=x git -C sub commit --amend --no-edit', 'git --no-pager -c user.name=r commit -m x']
+        .forEach(command => assert.strictEqual(isGitCommit(command), true, command));
+    });
+
+    this.test('isGitCommit() - other commands and dry runs', () => {
+      ['git log --grep commit', 'echo "git commit"', 'git commit --dry-run', 'git status', '', null]
+        .forEach(command => assert.strictEqual(isGitCommit(command), false, String(command)));
+    });
+
+    this.test('gitSubcommand() - skips global options and their values', () => {
+      assert.deepStrictEqual(gitSubcommand(['git', '-C', 'dir', '--bare', 'push', '-f']), { name: 'push', args: ['-f'] });
+      assert.strictEqual(gitSubcommand(['ls']), null);
+    });
+  }
+
+  testCommits() {
+    this.test('parseCommitOutput() - hash, branch, subject and changes', () => {
+      const output = '[ralph/app-1 (root-commit) 1a2b3c4] Add parser\n 3 files changed, 10 insertions(+), 2 deletions(-)\n create mode 100644 lib/parser.js';
+      assert.deepStrictEqual(parseCommitOutput(output), {
+        commits: [{ hash: '1a2b3c4', branch: 'ralph/app-1', subject: 'Add parser', changes: '3 files, +10, -2' }],
+        failure: null,
+        detail: null
+      });
+    });
+
+    this.test('parseCommitOutput() - several commits; a later failure keeps them', () => {
+      const output = '[main abc1234] First\n 1 file changed, 1 insertion(+)\n[main def5678] Second\n 1 file changed, 1 deletion(-)\nerror: failed to push some refs';
+      const { commits, failure } = parseCommitOutput(output, true);
+      assert.deepStrictEqual(commits.map(commit => [commit.hash, commit.changes]), [['abc1234', '1 file, +1'], ['def5678', '1 file, -1']]);
+      assert.strictEqual(failure, null);
+    });
+
+    this.test('parseCommitOutput() - quiet commits have no summary', () => {
+      assert.deepStrictEqual(parseCommitOutput(''), { commits: [], failure: null, detail: null });
+    });
+  }
+
+  testFailures() {
+    this.test('parseCommitOutput() - nothing to commit', () => {
+      const { failure, detail } = parseCommitOutput('On branch main\nnothing to commit, working tree clean', true);
+      assert.deepStrictEqual([failure, detail], ['nothing to commit', 'nothing to commit, working tree clean']);
+    });
+
+    this.test('parseCommitOutput() - failing hooks', () => {
+      ['husky - pre-commit hook exited with code 1 (error)', 'lint-staged failed', 'error: hook "commit-msg" failed']
+        .forEach(output => assert.strictEqual(parseCommitOutput(`running checks\n${output}`, true).failure, 'hook failed', output));
+    });
+
+    this.test('parseCommitOutput() - other errors keep their first line', () => {
+      const { failure, detail } = parseCommitOutput('fatal: not a git repository\nmore', true);
+      assert.deepStrictEqual([failure, detail], ['failed', 'fatal: not a git repository']);
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new GitCommitsTests('Commit Detection'));
+}
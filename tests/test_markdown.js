@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Terminal Markdown
+ *
+ * Covers block, inline and streaming rendering in lib/markdown.js
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const {
+  createMarkdownStream,
+  renderMarkdown,
+  highlight,
+} = require(path.join(__dirname, '../lib/markdown.js'));
+const { colors, noColors } = require(path.join(__dirname, '../lib/output-formatter.js'));
+
+const plain = (text) => renderMarkdown(text, { colors: noColors });
+
+// Test Suite
+class MarkdownTests extends TestSuite {
+  runTests() {
+    this.testBlocks();
+    this.testInline();
+    this.testTables();
+    this.testCodeBlocks();
+    this.testStreaming();
+    this.testWrapping();
+  }
+
+  testBlocks() {
+    this.test('headings - markers removed, bold', () => {
+      assert.strictEqual(plain('## Next steps ##'), 'Next steps\n');
+      assert.strictEqual(renderMarkdown('# Title', { colors }), `${colors.bold}Title${colors.reset}\n`);
+    });
+
+    this.test('lists - bullets, nesting, numbers and tasks', () => {
+      assert.strictEqual(
+        plain('- one\n  - nested\n3. third\n- [ ] todo\n- [x] done'),
+        '  • one\n    ◦ nested\n  3. third\n  ○ todo\n  ✓ done\n'
+      );
+    });
+
+    this.test('quotes and rules', () => {
+      assert.strictEqual(plain('> careful'), '│ careful\n');
+      assert.strictEqual(plain('***'), `${'─'.repeat(40)}\n`);
+    });
+  }
+
+  testInline() {
+    this.test('inline - emphasis, code and links', () => {
+      assert.strictEqual(
+        plain('**bold**, *it*, _em_, `x()` and [docs](https://d)'),
+        'bold, it, em, x() and docs (https://d)\n'
+      );
+    });
+
+    this.test('inline - snake_case and arithmetic left alone', () => {
+      assert.strictEqual(plain('call my_func_name with 2 * 3'), 'call my_func_name with 2 * 3\n');
+    });
+
+    this.test('inline - styles restore the base color', () => {
+      const out = renderMarkdown('a **b** c', { colors, baseColor: colors.cyan });
+      assert(out.includes(`${colors.bold}b${colors.reset}${colors.cyan} c`));
+    });
+  }
+
+  testTables() {
+    this.test('tables - aligned columns', () => {
+      assert.strictEqual(
+        plain('| Name | n |\n|------|--:|\n| a | 1 |\n| long | 22 |'),
+        'Name │  n\n─────┼───\na    │  1\nlong │ 22\n'
+      );
+    });
+
+    this.test('tables - pipe lines without a separator stay as text', () => {
+      assert.strictEqual(plain('| not a table |'), '| not a table |\n');
+    });
+  }
+
+  testCodeBlocks() {
+    this.test('code - fences dropped, language label, gutter', () => {
+      assert.strictEqual(plain('```js\nconst a = 1;\n```\nafter'), '  js\n  │ const a = 1;\nafter\n');
+    });
+
+    this.test('code - markdown inside is not interpreted', () => {
+      assert.strictEqual(plain('```\n# not a heading\n```'), '  │ # not a heading\n');
+    });
+
+    this.test('highlight() - keywords, strings and comments', () => {
+      const out = highlight('return "x"; // done', 'javascript', colors);
+      assert(out.includes(`${colors.blue}return${colors.reset}`));
+      assert(out.includes(`${colors.green}"x"${colors.reset}`));
+      assert(out.includes(`${colors.dim}// done${colors.reset}`));
+      assert.strictEqual(highlight('plain', 'cobol', colors), 'plain');
+    });
+  }
+
+  testStreaming() {
+    this.test('stream - paragraph text shows before its newline', () => {
+      const stream = createMarkdownStream({ colors: noColors });
+      assert.strictEqual(stream.push('Hello '), 'Hello ');
+      assert.strictEqual(stream.push('world'), 'world');
+      assert.strictEqual(stream.push('!\n'), '!\n');
+    });
+
+    this.test('stream - open inline span is held back', () => {
+      const stream = createMarkdownStream({ colors: noColors });
+      assert.strictEqual(stream.push('see **impor'), 'see ');
+      assert.strictEqual(stream.push('tant** now\n'), 'important now\n');
+    });
+
+    this.test('stream - block starts wait for the line', () => {
+      const stream = createMarkdownStream({ colors: noColors });
+      assert.strictEqual(stream.push('# Ti'), '');
+      assert.strictEqual(stream.push('tle\n'), 'Title\n');
+      assert.strictEqual(stream.push('| a |'), '');
+    });
+
+    this.test('stream - table rendered when it ends', () => {
+      const stream = createMarkdownStream({ colors: noColors });
+      assert.strictEqual(stream.push('| a | b |\n|---|---|\n| 1 | 2 |\n'), '');
+      assert.strictEqual(stream.push('done\n'), 'a │ b\n──┼──\n1 │ 2\ndone\n');
+    });
+
+    this.test('flush() - finishes partial lines and open tables', () => {
+      const stream = createMarkdownStream({ colors: noColors });
+      stream.push('| x |\n|---|\n');
+      assert.strictEqual(stream.flush(), 'x\n─\n');
+      stream.push('tail');
+      assert.strictEqual(stream.flush(), '\n');
+      assert.strictEqual(stream.flush(), '');
+    });
+  }
+
+  testWrapping() {
+    this.test('wrap - list items hang under their text', () => {
+      const out = renderMarkdown('- alpha beta gamma delta epsilon zeta eta', { colors: noColors, width: 30 });
+      assert.strictEqual(out, '  • alpha beta gamma delta\n    epsilon zeta eta\n');
+    });
+
+    this.test('wrap - quotes repeat their bar', () => {
+      const out = renderMarkdown('> alpha beta gamma delta epsilon zeta eta', { colors: noColors, width: 30 });
+      assert.strictEqual(out, '│ alpha beta gamma delta\n│ epsilon zeta eta\n');
+    });
+
+    this.test('wrap - code lines are not wrapped', () => {
+      const line = 'x'.repeat(60);
+      assert.strictEqual(renderMarkdown(`\`\`\`\n${line}\n\`\`\``, { colors: noColors, width: 30 }), `  │ ${line}\n`);
+    });
+
+    this.test('wrap - streamed words never split across chunks', () => {
+      const stream = createMarkdownStream({ colors: noColors, width: () => 25 });
+      const out = ['the quick br', 'own fox jumps ov', 'er the lazy dog\n']
+        .map(chunk => stream.push(chunk)).join('');
+      assert.strictEqual(out, 'the quick brown fox jumps\nover the lazy dog\n');
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new MarkdownTests('Markdown'));
+}
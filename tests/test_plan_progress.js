@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Plan Progress
+ *
+ * Covers plan parsing and the tracker in lib/plan-progress.js
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const {
+  createPlanTracker,
+  parsePlan,
+  sessionCheckedOff,
+} = require(path.join(__dirname, '../lib/plan-progress.js'));
+
+const CHECKLIST_PLAN = [
+  '# Implementation Plan',
+  '',
+  '## Current Focus',
+  '- [x] Parse config',
+  '- [ ] Add retries',
+  '  - [ ] Backoff with jitter',
+  '- note: keep the API stable',
+  '',
+  '```',
+  '- [ ] not a task',
+  '```',
+].join('\n');
+
+const BULLET_PLAN = [
+  '## Current Focus',
+  '- Fix login bug',
+  '- Write docs',
+  '  - sub-point',
+  '',
+  '## Completed',
+  '- Set up CI',
+].join('\n');
+
+// Test Suite
+class PlanProgressTests extends TestSuite {
+  runTests() {
+    this.testParsePlan();
+    this.testTracker();
+  }
+
+  testParsePlan() {
+    this.test('parsePlan() - checkboxes at any depth, notes and code ignored', () => {
+      const plan = parsePlan(CHECKLIST_PLAN);
+      assert.deepStrictEqual(plan.items.map(item => [item.text, item.done]), [
+        ['Parse config', true],
+        ['Add retries', false],
+        ['Backoff with jitter', false]
+      ]);
+      assert.deepStrictEqual([plan.done, plan.total], [1, 3]);
+      assert.deepStrictEqual(plan.sections.map(section => section.title), ['Current Focus']);
+    });
+
+    this.test('parsePlan() - plain bullets without checkboxes, Completed section done', () => {
+      const plan = parsePlan(BULLET_PLAN);
+      assert.deepStrictEqual(plan.items.map(item => [item.text, item.done, item.section]), [
+        ['Fix login bug', false, 'Current Focus'],
+        ['Write docs', false, 'Current Focus'],
+        ['Set up CI', true, 'Completed']
+      ]);
+    });
+
+    this.test('parsePlan() - empty or missing plan', () => {
+      assert.deepStrictEqual(parsePlan(null), { sections: [], items: [], done: 0, total: 0 });
+    });
+  }
+
+  testTracker() {
+    const files = (initial) => {
+      const disk = { '/work/IMPLEMENTATION_PLAN.md': initial };
+      return { disk, read: (file) => disk[file] ?? null };
+    };
+
+    this.test('tracker - targets the plan file only', () => {
+      const tracker = createPlanTracker({ workspace: '/work', read: files(CHECKLIST_PLAN).read });
+      assert(tracker.targets('Edit', { file_path: 'IMPLEMENTATION_PLAN.md' }));
+      assert(tracker.targets('Write', { file_path: '/work/IMPLEMENTATION_PLAN.md' }));
+      assert(!tracker.targets('Read', { file_path: 'IMPLEMENTATION_PLAN.md' }));
+      assert(!tracker.targets('Edit', { file_path: 'docs/IMPLEMENTATION_PLAN.md' }));
+      assert(tracker.targets('Bash', { command: "sed -i 's/\\[ \\] Add retries/[x] Add retries/' IMPLEMENTATION_PLAN.md" }));
+      assert(!tracker.targets('Bash', { command: 'npm test' }));
+    });
+
+    this.test('tracker - checked-off items and progress', () => {
+      const { disk, read } = files(CHECKLIST_PLAN);
+      const tracker = createPlanTracker({ workspace: '/work', read });
+      assert.deepStrictEqual(tracker.refresh(), []);
+      disk['/work/IMPLEMENTATION_PLAN.md'] = CHECKLIST_PLAN.replace('- [ ] Add retries', '- [x] Add retries');
+      assert.deepStrictEqual(tracker.refresh(), ['Add retries']);
+      assert.deepStrictEqual(tracker.progress(), {
+        exists: true, done: 2, total: 3, checkedOff: ['Add retries'], next: 'Backoff with jitter'
+      });
+    });
+
+    this.test('tracker - moving a bullet to Completed checks it off; cleanup keeps it counted', () => {
+      const { disk, read } = files(BULLET_PLAN);
+      const tracker = createPlanTracker({ workspace: '/work', read });
+      disk['/work/IMPLEMENTATION_PLAN.md'] = '## Current Focus\n- Write docs\n\n## Completed\n- Set up CI\n- Fix login bug\n';
+      tracker.refresh();
+      disk['/work/IMPLEMENTATION_PLAN.md'] = '## Current Focus\n- Write docs\n';
+      tracker.refresh();
+      const { done, total, checkedOff } = tracker.progress();
+      assert.deepStrictEqual([done, total, checkedOff], [0, 1, ['Fix login bug']]);
+    });
+
+    this.test('tracker - a plan created during the iteration', () => {
+      const { disk, read } = files(null);
+      const tracker = createPlanTracker({ workspace: '/work', read });
+      assert.strictEqual(tracker.progress().exists, false);
+      assert.deepStrictEqual(tracker.refresh(), []);
+      disk['/work/IMPLEMENTATION_PLAN.md'] = '- [x] Done already';
+      assert.deepStrictEqual(tracker.refresh(), ['Done already']);
+      assert.strictEqual(tracker.progress().exists, true);
+    });
+
+    this.test('sessionCheckedOff() - unique items across ledger records', () => {
+      const records = [{ plan: { checkedOff: ['A', 'B'] } }, {}, { plan: { checkedOff: ['B', 'C'] } }];
+      assert.deepStrictEqual(sessionCheckedOff(records), ['A', 'B', 'C']);
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new PlanProgressTests('Plan Progress'));
+}
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Iteration Recorder
+ *
+ * Covers NDJSON logging, Markdown transcripts, size caps and rotation in
+ * lib/recorder.js against a temporary directory
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const {
+  createRecorder,
+  listIterations,
+  toLogLine,
+  fromLogLine,
+} = require(path.join(__dirname, '../lib/recorder.js'));
+
+// Test Suite
+class RecorderTests extends TestSuite {
+  constructor(name) {
+    super(name);
+    this.tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph_tests_recorder_'));
+  }
+
+  runTests() {
+    try {
+      this.testLogLines();
+      this.testEventLog();
+      this.testTranscript();
+      this.testLimits();
+    } finally {
+      fs.rmSync(this.tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  dir(name) {
+    return path.join(this.tmpDir, name);
+  }
+
+  testLogLines() {
+    this.test('toLogLine() - JSON events gain a timestamp', () => {
+      assert.deepStrictEqual(JSON.parse(toLogLine('{"type":"result"}', 42)), { type: 'result', _ts: 42 });
+    });
+
+    this.test('toLogLine() - other lines are wrapped', () => {
+      assert.deepStrictEqual(JSON.parse(toLogLine('data: {"a":1}', 7)), { type: '_raw', _ts: 7, text: 'data: {"a":1}' });
+    });
+
+    this.test('fromLogLine() - round trip', () => {
+      assert.deepStrictEqual(fromLogLine(toLogLine('{"type":"system"}', 5)), { line: '{"type":"system"}', ts: 5 });
+      assert.deepStrictEqual(fromLogLine(toLogLine('event: ping', 6)), { line: 'event: ping', ts: 6 });
+    });
+
+    this.test('fromLogLine() - plain captures pass through', () => {
+      assert.deepStrictEqual(fromLogLine('{"type":"system"}'), { line: '{"type":"system"}', ts: null });
+      assert.deepStrictEqual(fromLogLine('not json'), { line: 'not json', ts: null });
+    });
+  }
+
+  testEventLog() {
+    this.test('event() - one line per event under the branch directory', () => {
+      let now = 1000;
+      const recorder = createRecorder({ dir: this.dir('events'), branch: 'ralph/app', iteration: 4, now: () => now++ });
+      recorder.event('{"type":"assistant"}');
+      recorder.event('stderr noise');
+      assert.strictEqual(recorder.files.events, path.join(this.dir('events'), 'ralph-app', 'iteration-4.ndjson'));
+      const lines = fs.readFileSync(recorder.files.events, 'utf8').trim().split('\n').map(JSON.parse);
+      assert.strictEqual(lines.length, 2);
+      assert.strictEqual(lines[0].type, 'assistant');
+      assert.strictEqual(lines[1].text, 'stderr noise');
+    });
+
+    this.test('iteration - defaults to next number on disk', () => {
+      const dir = this.dir('numbering');
+      createRecorder({ dir, branch: 'b', iteration: 7 });
+      assert.strictEqual(createRecorder({ dir, branch: 'b' }).iteration, 8);
+    });
+  }
+
+  testTranscript() {
+    this.test('transcript - sections for text, tools, results and stats', () => {
+      const recorder = createRecorder({ dir: this.dir('transcript'), branch: 'b', iteration: 1, now: () => 0 });
+      recorder.text('Hel');
+      recorder.text('lo');
+      recorder.toolUse('Bash', ['$ npm test']);
+      recorder.toolResult('Bash', true, 'exit 1', '2.0s');
+      recorder.error('overloaded');
+      recorder.stats(['cost: $0.01']);
+      const text = fs.readFileSync(recorder.files.transcript, 'utf8');
+      assert(text.startsWith('# Ralph iteration 1\n\n- Branch: `b`\n- Started: 1970-01-01T00:00:00.000Z\n'));
+      assert(text.includes('## Assistant\n\nHello\n\n### Tool: Bash\n\n```text\n$ npm test\n```\n'));
+      assert(text.includes('**Error** (Bash, 2.0s)\n\n```text\nexit 1\n```\n'));
+      assert(text.includes('**Error:** overloaded\n'));
+      assert(text.endsWith('## Stats\n\n- cost: $0.01\n'));
+      assert(!text.includes('\n\n\n'));
+    });
+
+    this.test('transcript - fences survive backticks in content', () => {
+      const recorder = createRecorder({ dir: this.dir('fence'), branch: 'b', iteration: 1 });
+      recorder.toolResult('Read', false, 'has ``` inside', '');
+      const text = fs.readFileSync(recorder.files.transcript, 'utf8');
+      assert(text.includes('````text\nhas ``` inside\n````'));
+    });
+  }
+
+  testLimits() {
+    this.test('maxBytes - log stops with a single notice', () => {
+      const recorder = createRecorder({ dir: this.dir('cap'), branch: 'b', iteration: 1, maxBytes: 100 });
+      for (let i = 0; i < 10; i++) recorder.event(JSON.stringify({ type: 'assistant', i }));
+      const lines = fs.readFileSync(recorder.files.events, 'utf8').trim().split('\n').map(JSON.parse);
+      assert(lines.length < 10);
+      assert.strictEqual(lines.filter(l => l.type === '_raw').length, 1);
+      assert(lines[lines.length - 1].text.includes('log truncated at 100 bytes'));
+    });
+
+    this.test('keep - rotates old iterations', () => {
+      const dir = this.dir('rotate');
+      for (let i = 1; i <= 5; i++) createRecorder({ dir, branch: 'b', iteration: i, keep: 3 });
+      assert.deepStrictEqual(listIterations(path.join(dir, 'b')), [3, 4, 5]);
+      assert(!fs.existsSync(path.join(dir, 'b', 'iteration-1.md')));
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new RecorderTests('Recorder'));
+}
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Session Replay
+ *
+ * Covers loading, filtering and timed playback in lib/replay.js
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const { loadRecording, selectEntries, replay } = require(path.join(__dirname, '../lib/replay.js'));
+
+// Collects lines instead of rendering them
+function createRecordingFormatter() {
+  return {
+    lines: [],
+    ended: false,
+    processLine(line) {
+      this.lines.push(line);
+    },
+    end() {
+      this.ended = true;
+    }
+  };
+}
+
+const event = (data, ts) => JSON.stringify(ts === undefined ? data : { ...data, _ts: ts });
+const toolUse = (id, name) => ({ type: 'assistant', message: { content: [{ type: 'text', text: 'hi' }, { type: 'tool_use', id, name, input: {} }] } });
+const toolResult = (id) => ({ type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: id, content: 'ok' }] } });
+
+// Test Suite
+class ReplayTests extends TestSuite {
+  constructor(name) {
+    super(name);
+    this.tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph_tests_replay_'));
+  }
+
+  async runTests() {
+    try {
+      await this.testLoading();
+      await this.testFilters();
+      await this.testPlayback();
+    } finally {
+      fs.rmSync(this.tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  writeFile(name, lines) {
+    const file = path.join(this.tmpDir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+    return file;
+  }
+
+  async testLoading() {
+    await this.test('loadRecording() - recorder log strips timing', () => {
+      const file = this.writeFile('rec.ndjson', [
+        event({ type: 'system', subtype: 'init' }, 100),
+        event({ type: '_raw', text: 'stderr line' }, 150)
+      ]);
+      assert.deepStrictEqual(loadRecording(file), [
+        { line: '{"type":"system","subtype":"init"}', ts: 100, iteration: 1 },
+        { line: 'stderr line', ts: 150, iteration: 1 }
+      ]);
+    });
+
+    await this.test('loadRecording() - plain capture splits iterations', () => {
+      const file = this.writeFile('capture.json', [
+        event({ type: 'system', subtype: 'init' }),
+        event({ type: 'result' }),
+        event({ type: 'system', subtype: 'init' }),
+        event({ type: 'assistant', message: { content: 'two' } }),
+        event({ type: 'system', subtype: 'init' })
+      ]);
+      assert.deepStrictEqual(loadRecording(file).map(e => e.iteration), [1, 1, 2, 2, 3]);
+    });
+
+    await this.test('loadRecording() - SSE capture keeps the blank lines that end events', () => {
+      const file = this.writeFile('proxy.sse', ['event: ping', 'data: {"type":"ping"}', '', 'data: [DONE]', '']);
+      assert.deepStrictEqual(loadRecording(file).map(e => e.line), ['event: ping', 'data: {"type":"ping"}', '', 'data: [DONE]', '']);
+    });
+
+    await this.test('loadRecording() - directory in iteration order', () => {
+      this.writeFile('dir/iteration-10.ndjson', [event({ type: 'result', n: 10 }, 3)]);
+      this.writeFile('dir/iteration-2.ndjson', [event({ type: 'result', n: 2 }, 1)]);
+      this.writeFile('dir/iteration-2.md', ['# transcript']);
+      const entries = loadRecording(path.join(this.tmpDir, 'dir'));
+      assert.deepStrictEqual(entries.map(e => e.iteration), [2, 10]);
+    });
+  }
+
+  async testFilters() {
+    const entries = [
+      { line: event(toolUse('a', 'Bash')), ts: null, iteration: 1 },
+      { line: event(toolUse('b', 'Read')), ts: null, iteration: 1 },
+      { line: event(toolResult('b')), ts: null, iteration: 1 },
+      { line: event(toolResult('a')), ts: null, iteration: 2 },
+      { line: event({ type: 'error', message: 'boom' }), ts: null, iteration: 2 },
+      { line: 'plain text', ts: null, iteration: 2 }
+    ];
+
+    await this.test('selectEntries() - from iteration', () => {
+      assert.strictEqual(selectEntries(entries, { fromIteration: 2 }).length, 3);
+    });
+
+    await this.test('selectEntries() - tool keeps its calls, results and errors', () => {
+      const selected = selectEntries(entries, { tool: 'Bash' }).map(e => JSON.parse(e.line));
+      assert.strictEqual(selected.length, 3);
+      assert.deepStrictEqual(selected[0].message.content.map(b => b.type), ['tool_use']);
+      assert.strictEqual(selected[1].message.content[0].tool_use_id, 'a');
+      assert.strictEqual(selected[2].type, 'error');
+    });
+  }
+
+  async testPlayback() {
+    const entries = [
+      { line: 'a', ts: 1000, iteration: 1 },
+      { line: 'b', ts: 3000, iteration: 1 },
+      { line: 'c', ts: null, iteration: 1 },
+      { line: 'd', ts: 4000, iteration: 1 }
+    ];
+
+    await this.test('replay() - instant by default', async () => {
+      const sleeps = [];
+      const formatter = createRecordingFormatter();
+      await replay({ entries, formatter, sleep: async (ms) => sleeps.push(ms) });
+      assert.deepStrictEqual(formatter.lines, ['a', 'b', 'c', 'd']);
+      assert.deepStrictEqual(sleeps, []);
+      assert(formatter.ended);
+    });
+
+    await this.test('replay() - speed scales recorded gaps', async () => {
+      const sleeps = [];
+      await replay({ entries, formatter: createRecordingFormatter(), speed: 2, sleep: async (ms) => sleeps.push(ms) });
+      assert.deepStrictEqual(sleeps, [1000, 500]);
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new ReplayTests('Replay'));
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Run Controller
+ *
+ * Covers the retry decisions, backoff and retry events in lib/run-controller.js,
+ * with a stand-in for the supervisor that replays canned streams
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+const { PassThrough } = require('stream');
+
+const { runWithRetries, backoffDelay, parseArgs } = require(path.join(__dirname, '../lib/run-controller.js'));
+const { EXIT_CODES } = require(path.join(__dirname, '../lib/exit-codes.js'));
+
+const line = (event) => `${JSON.stringify(event)}\n`;
+const OVERLOADED = line({ type: 'result', subtype: 'success', is_error: true, result: 'API Error: 529 Overloaded' });
+const BAD_GATEWAY = 'litellm.InternalServerError: 502 Bad Gateway\n';
+const SUCCESS = line({ type: 'result', subtype: 'success', is_error: false, result: 'Done' });
+const NO_MODEL = 'litellm.NotFoundError: model \'qwen3-coder\' not found\n';
+
+function capture() {
+  const stream = new PassThrough();
+  stream.text = '';
+  stream.on('data', (chunk) => {
+    stream.text += chunk.toString();
+  });
+  return stream;
+}
+
+// Each call to the fake supervisor plays the next attempt's output: [stdout, exitCode, stderr]
+function fakeSupervisor(attempts) {
+  const calls = [];
+  const run = (params) => {
+    const [output, exitCode, errorOutput] = attempts[calls.length];
+    calls.push(params);
+    let input = '';
+    params.stdin.on('data', (chunk) => {
+      input += chunk;
+    });
+    const done = new Promise((resolve) => {
+      params.stdin.on('end', () => {
+        params.stdout.write(output);
+        if (errorOutput) params.stderr.write(errorOutput);
+        calls[calls.length - 1].input = input;
+        setImmediate(() => resolve({ exitCode, timeout: null }));
+      });
+    });
+    return { stop: () => {}, done };
+  };
+  return { run, calls };
+}
+
+async function runAttempts(attempts, options = {}) {
+  const supervisor = fakeSupervisor(attempts);
+  const stdout = capture();
+  const stderr = capture();
+  const sleeps = [];
+  const result = await runWithRetries({
+    command: 'claude',
+    args: ['-p'],
+    input: 'Build the thing',
+    stdout,
+    stderr,
+    retry: { maxRetries: 3, baseMs: 1000, maxMs: 60000 },
+    sleep: async (ms) => sleeps.push(ms),
+    random: () => 0.5,
+    run: supervisor.run,
+    ...options,
+  }).done;
+  const events = stdout.text.split('\n').filter(Boolean).flatMap(text => {
+    try {
+      return [JSON.parse(text)];
+    } catch {
+      return [];
+    }
+  });
+  return { ...result, calls: supervisor.calls, sleeps, stderr: stderr.text, retries: events.filter(event => event.subtype === 'retry') };
+}
+
+// Test Suite
+class RunControllerTests extends TestSuite {
+  async runTests() {
+    await this.testRetries();
+    await this.testHelpers();
+  }
+
+  async testRetries() {
+    await this.test('runWithRetries() - a clean run is not retried', async () => {
+      const result = await runAttempts([[SUCCESS, 0]]);
+      assert.deepStrictEqual([result.exitCode, result.verdict.category, result.calls.length, result.sleeps], [0, 'ok', 1, []]);
+    });
+
+    await this.test('runWithRetries() - transient failures are retried with the same prompt', async () => {
+      const result = await runAttempts([[OVERLOADED, 1], [BAD_GATEWAY, 1], [SUCCESS, 0]]);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(result.calls.map(call => call.input), ['Build the thing', 'Build the thing', 'Build the thing']);
+      assert.deepStrictEqual(result.attempts, [
+        { attempt: 1, category: 'rate-limit', exitCode: 1 },
+        { attempt: 2, category: 'server-error', exitCode: 1 },
+        { attempt: 3, category: 'ok', exitCode: 0 },
+      ]);
+      assert.deepStrictEqual(result.sleeps, [750, 1500]);
+      assert.deepStrictEqual(result.retries[1], {
+        type: 'system',
+        subtype: 'retry',
+        attempt: 2,
+        max_attempts: 4,
+        delay_ms: 1500,
+        category: 'server-error',
+        message: 'API server error',
+        detail: 'litellm.InternalServerError: 502 Bad Gateway',
+      });
+    });
+
+    await this.test('runWithRetries() - failures printed on stderr only are classified too', async () => {
+      const refused = 'Error: connect ECONNREFUSED 127.0.0.1:4000\n';
+      const result = await runAttempts([['', 1, refused], [SUCCESS, 0]]);
+      assert.deepStrictEqual(result.attempts.map(attempt => attempt.category), ['connection', 'ok']);
+      assert.strictEqual(result.stderr, refused);
+    });
+
+    await this.test('runWithRetries() - permanent failures stop at once', async () => {
+      const result = await runAttempts([[NO_MODEL, 1]]);
+      assert.deepStrictEqual([result.verdict.category, result.calls.length, result.retries.length], ['model-not-found', 1, 0]);
+    });
+
+    await this.test('runWithRetries() - gives up after maxRetries', async () => {
+      const result = await runAttempts([[OVERLOADED, 1], [OVERLOADED, 1], [OVERLOADED, 1]], { retry: { maxRetries: 2, baseMs: 1000, maxMs: 60000 } });
+      assert.deepStrictEqual([result.exitCode, result.verdict.exitCode, result.calls.length, result.retries.length], [1, EXIT_CODES.RATE_LIMITED, 3, 2]);
+    });
+
+    await this.test('runWithRetries() - stop() during the backoff ends the run', async () => {
+      const supervisor = fakeSupervisor([[OVERLOADED, 1], [SUCCESS, 0]]);
+      const controller = runWithRetries({
+        command: 'claude',
+        stdout: capture(),
+        sleep: (ms, signal) => {
+          controller.stop();
+          assert(signal.aborted);
+          return Promise.resolve();
+        },
+        run: supervisor.run,
+      });
+      const result = await controller.done;
+      assert.deepStrictEqual([result.exitCode, supervisor.calls.length], [1, 1]);
+    });
+  }
+
+  async testHelpers() {
+    await this.test('backoffDelay() - doubles, caps and jitters', () => {
+      const limits = { baseMs: 10000, maxMs: 300000 };
+      assert.deepStrictEqual([1, 2, 3].map(retry => backoffDelay(retry, limits, () => 0)), [5000, 10000, 20000]);
+      assert.strictEqual(backoffDelay(2, limits, () => 1), 20000);
+      assert.strictEqual(backoffDelay(10, limits, () => 1), 300000);
+    });
+
+    await this.test('parseArgs() - retry and timeout flags, then the command', () => {
+      assert.deepStrictEqual(parseArgs(['--max-retries=0', '--idle-timeout', '30', '--', 'claude', '-p']), {
+        maxRetries: 0, idleSeconds: 30, iterationMinutes: null, command: 'claude', commandArgs: ['-p']
+      });
+      assert.throws(() => parseArgs(['--max-retries', 'many', '--', 'claude']), /--max-retries expects a non-negative number/);
+      assert.throws(() => parseArgs(['--retries', '2', '--', 'claude']), /Unknown argument: --retries/);
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new RunControllerTests('Run Controller'));
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Session Ledger
+ *
+ * Covers lib/session-ledger.js against a temporary directory
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const {
+  createSessionLedger,
+  ledgerPathFor,
+  sanitizeBranch,
+  summarizeRecords,
+} = require(path.join(__dirname, '../lib/session-ledger.js'));
+
+// Test Suite
+class SessionLedgerTests extends TestSuite {
+  constructor(name) {
+    super(name);
+    this.tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralph_tests_ledger_'));
+  }
+
+  runTests() {
+    try {
+      this.testPaths();
+      this.testAppendAndRead();
+      this.testSummaries();
+    } finally {
+      fs.rmSync(this.tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  testPaths() {
+    this.test('sanitizeBranch() - slashes flattened', () => {
+      assert.strictEqual(sanitizeBranch('ralph/my-app-20260101-120000'), 'ralph-my-app-20260101-120000');
+      assert.strictEqual(sanitizeBranch('///'), 'session');
+    });
+
+    this.test('ledgerPathFor() - keyed by branch', () => {
+      assert.strictEqual(ledgerPathFor('ralph/app', '/tmp/l'), path.join('/tmp/l', 'ralph-app.ndjson'));
+    });
+  }
+
+  testAppendAndRead() {
+    this.test('append() - creates directories and appends lines', () => {
+      const file = path.join(this.tmpDir, 'nested', 'dir', 'ledger.ndjson');
+      const ledger = createSessionLedger({ file });
+      ledger.append({ iteration: 1, costUsd: 0.1 });
+      ledger.append({ iteration: 2, costUsd: 0.2 });
+      assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 2);
+      assert.deepStrictEqual(ledger.read().map(r => r.iteration), [1, 2]);
+    });
+
+    this.test('read() - missing file is an empty ledger', () => {
+      const ledger = createSessionLedger({ file: path.join(this.tmpDir, 'missing.ndjson') });
+      assert.deepStrictEqual(ledger.read(), []);
+      assert.strictEqual(ledger.totals().iterations, 0);
+    });
+
+    this.test('read() - skips a truncated line', () => {
+      const file = path.join(this.tmpDir, 'partial.ndjson');
+      fs.writeFileSync(file, '{"iteration":1,"costUsd":1}\n{"iteration":2,"co');
+      const ledger = createSessionLedger({ file });
+      assert.strictEqual(ledger.read().length, 1);
+    });
+
+    this.test('totals() - survives across ledger instances', () => {
+      const file = path.join(this.tmpDir, 'session.ndjson');
+      createSessionLedger({ file }).append({ costUsd: 0.5, usage: { outputTokens: 10 } });
+      createSessionLedger({ file }).append({ costUsd: 0.25, usage: { outputTokens: 5 } });
+      const totals = createSessionLedger({ file }).totals();
+      assert.strictEqual(totals.iterations, 2);
+      assert.strictEqual(totals.costUsd, 0.75);
+      assert.strictEqual(totals.outputTokens, 15);
+    });
+  }
+
+  testSummaries() {
+    this.test('summarizeRecords() - sums every field', () => {
+      const totals = summarizeRecords([
+        { costUsd: 1, durationMs: 10, toolCalls: 2, errors: 1, usage: { inputTokens: 1, outputTokens: 2, cacheCreationInputTokens: 3, cacheReadInputTokens: 4 } },
+        { costUsd: 2, durationMs: 20, toolCalls: 3, errors: 0, usage: { inputTokens: 1, outputTokens: 2, cacheCreationInputTokens: 3, cacheReadInputTokens: 4 } }
+      ]);
+      assert.deepStrictEqual(totals, {
+        iterations: 2,
+        costUsd: 3,
+        inputTokens: 2,
+        outputTokens: 4,
+        cacheCreationInputTokens: 6,
+        cacheReadInputTokens: 8,
+        durationMs: 30,
+        toolCalls: 5,
+        errors: 1,
+      });
+    });
+
+    this.test('summarizeRecords() - tolerates sparse records', () => {
+      assert.strictEqual(summarizeRecords([{}]).costUsd, 0);
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new SessionLedgerTests('Session Ledger'));
+}
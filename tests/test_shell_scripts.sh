@@ -465,6 +465,46 @@ test_integration() {
     assert_contains "$help_output" "ENVIRONMENT VARIABLES:" "entrypoint.sh help shows environment variables"
 }
 
+# Test loop.sh stopping on a blocked command
+test_loop_guard_stop() {
+    echo -e "${CYAN}Testing loop.sh guard stop${NC}"
+
+    # A workspace with scaffolding to clean up and a remote to push to
+    local remote="$TEST_DIR/guard_remote.git"
+    local workspace="$TEST_DIR/guard_workspace"
+    git init --quiet --bare "$remote"
+    git clone --quiet "$remote" "$workspace" 2>/dev/null
+    (
+        cd "$workspace"
+        git config user.email "test@example.com"
+        git config user.name "Test User"
+        echo "Build it" > PROMPT_build.md
+        echo "- [ ] Task" > IMPLEMENTATION_PLAN.md
+        git add PROMPT_build.md IMPLEMENTATION_PLAN.md
+        git commit --quiet -m "Initial commit"
+    )
+
+    # claude stand-in that runs a force push
+    mkdir -p "$TEST_DIR/guard_bin"
+    cat > "$TEST_DIR/guard_bin/claude" << 'EOF'
+#!/bin/bash
+cat > /dev/null
+echo '{"type":"assistant","message":{"id":"msg_1","content":[{"type":"tool_use","id":"toolu_1","name":"Bash","input":{"command":"git push --force origin main"}}]}}'
+EOF
+    chmod +x "$TEST_DIR/guard_bin/claude"
+
+    local loop_output
+    loop_output=$(PATH="$TEST_DIR/guard_bin:$PATH" RALPH_WORKSPACE="$workspace" RALPH_OUTPUT_FORMAT=pretty \
+        RALPH_MAX_ITERATIONS=1 RALPH_PUSH_AFTER_COMMIT=true \
+        timeout 60 "$SCRIPTS_DIR/loop.sh" 2>&1 || true)
+
+    assert_contains "$loop_output" "Dangerous command blocked" "loop.sh stops on a blocked command"
+    assert_contains "$loop_output" "Skipping scaffolding cleanup and push" "loop.sh skips cleanup after a blocked command"
+    assert_equals "" "$(git -C "$remote" for-each-ref --format='%(refname)' refs/heads/ralph/)" "Nothing is pushed after a blocked command"
+    assert_equals "Initial commit" "$(git -C "$workspace" log -1 --format=%s)" "Nothing is committed after a blocked command"
+    assert_file_exists "$workspace/IMPLEMENTATION_PLAN.md" "Scaffolding is left in place after a blocked command"
+}
+
 # Main test runner
 main() {
     echo "========================================"
@@ -482,6 +522,8 @@ main() {
     echo ""
     test_entrypoint_functions
     echo ""
+    test_loop_guard_stop
+    echo ""
     test_integration
     echo ""
 
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph SSE
+ *
+ * Covers Server-Sent Events framing and payload decoding in lib/sse.js
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const { createSseParser, decodeMessage } = require(path.join(__dirname, '../lib/sse.js'));
+
+const parse = (...lines) => {
+  const parser = createSseParser();
+  return [...lines.flatMap(parser.push), ...parser.end()];
+};
+
+// Test Suite
+class SseTests extends TestSuite {
+  runTests() {
+    this.testParser();
+    this.testDecoding();
+  }
+
+  testParser() {
+    this.test('push() - events are dispatched at a blank line', () => {
+      const parser = createSseParser();
+      assert.deepStrictEqual(parser.push('event: message_start'), []);
+      assert.deepStrictEqual(parser.push('data: {"type":"message_start"}'), []);
+      assert.deepStrictEqual(parser.push(''), [{ event: 'message_start', data: '{"type":"message_start"}', id: null, retry: null }]);
+    });
+
+    this.test('push() - data lines are joined and one leading space is dropped', () => {
+      assert.deepStrictEqual(parse('data:first', 'data:  second', 'data', '').map(message => message.data), ['first\n second\n']);
+    });
+
+    this.test('push() - unnamed events are messages and names do not carry over', () => {
+      assert.deepStrictEqual(parse('event: error', 'data: a', '', 'data: b', '').map(message => message.event), ['error', 'message']);
+    });
+
+    this.test('push() - ids carry over and retry needs a whole number', () => {
+      const messages = parse('id: 1', 'retry: 2500', 'data: a', '', 'retry: soon', 'id: bad\0', 'data: b', '', 'id', 'data: c', '');
+      assert.deepStrictEqual(messages.map(({ id, retry }) => [id, retry]), [['1', 2500], ['1', 2500], ['', 2500]]);
+    });
+
+    this.test('push() - comments, empty events and CRLF line endings', () => {
+      assert.deepStrictEqual(parse(': keep-alive', ':', 'event: ping\r', '\r', 'data: x\r', '\r'), [{ event: 'message', data: 'x', id: null, retry: null }]);
+    });
+
+    this.test('push() - other lines pass through after the event in progress', () => {
+      assert.deepStrictEqual(parse('data: {"a":1}', '{"type":"result"}', '  Traceback (most recent call last):'), [
+        { event: 'message', data: '{"a":1}', id: null, retry: null },
+        { data: '{"type":"result"}' },
+        { data: '  Traceback (most recent call last):' },
+      ]);
+    });
+
+    this.test('end() - dispatches an event the stream was cut off in, once', () => {
+      const parser = createSseParser();
+      parser.push('data: last');
+      assert.deepStrictEqual(parser.end().map(message => message.data), ['last']);
+      assert.deepStrictEqual(parser.end(), []);
+    });
+  }
+
+  testDecoding() {
+    this.test('decodeMessage() - JSON, text, pings and [DONE]', () => {
+      assert.deepStrictEqual(decodeMessage({ event: 'message', data: '{"type":"message_stop"}' }), { data: { type: 'message_stop' } });
+      assert.deepStrictEqual(decodeMessage({ data: 'Starting proxy' }), { text: 'Starting proxy' });
+      assert.strictEqual(decodeMessage({ event: 'ping', data: '{"type":"ping"}' }), null);
+      assert.deepStrictEqual(decodeMessage({ event: 'message', data: '[DONE]' }), { done: true });
+      assert.deepStrictEqual(decodeMessage({ data: '[DONE]' }), { text: '[DONE]' });
+    });
+
+    this.test('decodeMessage() - error events become error events', () => {
+      const error = (data) => decodeMessage({ event: 'error', data });
+      assert.deepStrictEqual(error('upstream timed out'), { data: { type: 'error', error: { message: 'upstream timed out' } } });
+      assert.deepStrictEqual(error('{"message":"Bad Gateway","code":502}'), { data: { type: 'error', error: { message: 'Bad Gateway' } } });
+      assert.deepStrictEqual(error('{"error":{"message":"quota"}}'), { data: { error: { message: 'quota' } } });
+      assert.deepStrictEqual(error('{"type":"error","error":{"type":"overloaded_error"}}'), { data: { type: 'error', error: { type: 'overloaded_error' } } });
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new SseTests('SSE'));
+}
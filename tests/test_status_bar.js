@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Status Bar
+ *
+ * Covers the scroll-region status bar in lib/status-bar.js
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const {
+  createStatusBar,
+  fitSegments,
+  formatElapsed,
+} = require(path.join(__dirname, '../lib/status-bar.js'));
+
+// Minimal TTY stand-in: records writes, emits 'resize'
+function createTty(rows = 24, columns = 80) {
+  const tty = new EventEmitter();
+  Object.assign(tty, {
+    isTTY: true,
+    rows,
+    columns,
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+      return true;
+    }
+  });
+  return tty;
+}
+
+function createManualClock() {
+  const timers = new Map();
+  let nextId = 1;
+  return {
+    setInterval(fn) {
+      timers.set(nextId, fn);
+      return nextId++;
+    },
+    clearInterval(id) {
+      timers.delete(id);
+    },
+    tick: () => timers.forEach(fn => fn()),
+    activeTimers: () => timers.size
+  };
+}
+
+// Test Suite
+class StatusBarTests extends TestSuite {
+  runTests() {
+    this.testHelpers();
+    this.testLifecycle();
+    this.testRedraw();
+    this.testResize();
+  }
+
+  testHelpers() {
+    this.test('fitSegments() - drops what does not fit', () => {
+      const segments = [{ text: 'Iteration 3' }, { text: '0:42' }, { text: '$0.1000' }];
+      assert.strictEqual(fitSegments(segments, 80), 'Iteration 3 │ 0:42 │ $0.1000');
+      assert.strictEqual(fitSegments(segments, 20), 'Iteration 3 │ 0:42');
+      assert.strictEqual(fitSegments(segments, 6), 'Itera…');
+    });
+
+    this.test('fitSegments() - colors are not counted', () => {
+      const line = fitSegments([{ text: 'abc', color: '<c>' }, { text: 'de' }], 8, '</c>');
+      assert.strictEqual(line, '<c>abc</c> │ de');
+    });
+
+    this.test('formatElapsed() - minutes and hours', () => {
+      assert.strictEqual(formatElapsed(5000), '0:05');
+      assert.strictEqual(formatElapsed(75000), '1:15');
+      assert.strictEqual(formatElapsed(3725000), '1:02:05');
+    });
+  }
+
+  testLifecycle() {
+    this.test('enable() - reserves the bottom row', () => {
+      const tty = createTty(24);
+      const bar = createStatusBar({ output: tty, clock: createManualClock(), render: () => 'status' });
+      assert(bar.enable());
+      assert(tty.text.includes('\x1b[1;23r'), 'scroll region excludes the last row');
+      assert(tty.text.includes('\x1b[24;1H\x1b[2Kstatus'));
+      assert(bar.isActive());
+    });
+
+    this.test('enable() - refuses tiny terminals', () => {
+      const tty = createTty(3);
+      const bar = createStatusBar({ output: tty, clock: createManualClock(), render: () => 'status' });
+      assert(!bar.enable());
+      assert.strictEqual(tty.text, '');
+    });
+
+    this.test('disable() - resets region, timer and listener once', () => {
+      const tty = createTty(24);
+      const clock = createManualClock();
+      const bar = createStatusBar({ output: tty, clock, render: () => 'status' });
+      bar.enable();
+      tty.text = '';
+      bar.disable();
+      bar.disable();
+      assert.strictEqual(tty.text, '\x1b7\x1b[r\x1b[24;1H\x1b[2K\x1b8');
+      assert.strictEqual(clock.activeTimers(), 0);
+      assert.strictEqual(tty.listenerCount('resize'), 0);
+    });
+  }
+
+  testRedraw() {
+    this.test('update() - only writes when the line changes', () => {
+      const tty = createTty(24);
+      const clock = createManualClock();
+      let text = 'one';
+      const bar = createStatusBar({ output: tty, clock, render: () => text });
+      bar.enable();
+      tty.text = '';
+      bar.update();
+      clock.tick();
+      assert.strictEqual(tty.text, '');
+      text = 'two';
+      clock.tick();
+      assert.strictEqual(tty.text, '\x1b7\x1b[24;1H\x1b[2Ktwo\x1b8');
+    });
+
+    this.test('render() - receives the terminal width', () => {
+      const tty = createTty(24, 42);
+      let width = null;
+      createStatusBar({ output: tty, clock: createManualClock(), render: (w) => { width = w; return ''; } }).enable();
+      assert.strictEqual(width, 42);
+    });
+  }
+
+  testResize() {
+    this.test('resize - moves the region and redraws', () => {
+      const tty = createTty(24);
+      const bar = createStatusBar({ output: tty, clock: createManualClock(), render: () => 'status' });
+      bar.enable();
+      tty.text = '';
+      tty.rows = 30;
+      tty.emit('resize');
+      assert(tty.text.includes('\x1b[24;1H\x1b[2K'), 'old bar row cleared');
+      assert(tty.text.includes('\x1b[1;29r'));
+      assert(tty.text.includes('\x1b[30;1H\x1b[2Kstatus'));
+    });
+
+    this.test('resize - too small disables the bar', () => {
+      const tty = createTty(24);
+      const bar = createStatusBar({ output: tty, clock: createManualClock(), render: () => 'status' });
+      bar.enable();
+      tty.rows = 2;
+      tty.emit('resize');
+      assert(!bar.isActive());
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new StatusBarTests('Status Bar'));
+}
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Stream Events
+ *
+ * Covers how lib/stream-events.js turns Claude CLI, Anthropic SSE, OpenAI and
+ * Ollama streams into one event model
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const { createEventNormalizer, normalizeStream, normalizeUsage, parsePartialJson, parseToolInput, EVENT_TYPES } = require(path.join(__dirname, '../lib/stream-events.js'));
+
+const stream = (...events) => events.map(event => (typeof event === 'string' ? event : JSON.stringify(event))).join('\n');
+const types = (events) => events.map(event => event.type);
+
+// Test Suite
+class StreamEventsTests extends TestSuite {
+  runTests() {
+    this.testClaudeCli();
+    this.testPartialMessages();
+    this.testAnthropicSse();
+    this.testChunkDialects();
+    this.testStreamHandling();
+  }
+
+  testClaudeCli() {
+    this.test('CLI - assistant blocks, model and usage', () => {
+      const message = { id: 'm1', model: 'claude-sonnet', usage: { output_tokens: 12 } };
+      const events = normalizeStream(stream(
+        { type: 'assistant', message: { ...message, content: [{ type: 'thinking', thinking: 'Plan' }, { type: 'text', text: 'Reading' }] } },
+        { type: 'assistant', message: { ...message, content: [{ type: 'tool_use', id: 't1', name: 'Read', input: { file_path: 'a.js' } }] } }
+      ));
+      assert.deepStrictEqual(events, [
+        { type: 'model', model: 'claude-sonnet' },
+        { type: 'usage', messageId: 'm1', outputTokens: 12 },
+        { type: 'thinking', text: 'Plan', redacted: false },
+        { type: 'text', text: 'Reading' },
+        { type: 'tool_call', id: 't1', name: 'Read', input: { file_path: 'a.js' } },
+      ]);
+    });
+
+    this.test('CLI - tool results, subagent scope and missing ids', () => {
+      const events = normalizeStream(stream(
+        { type: 'tool_use', name: 'Bash' },
+        { type: 'user', parent_tool_use_id: 'task1', message: { content: [{ type: 'tool_result', tool_use_id: 't1', is_error: true, content: [{ type: 'text', text: 'boom' }] }, { type: 'text', text: 'ignored' }] } }
+      ));
+      assert.deepStrictEqual(events, [
+        { type: 'tool_call', id: 'call_1', name: 'Bash', input: {} },
+        { type: 'tool_result', id: 't1', isError: true, content: 'boom', parentId: 'task1' },
+      ]);
+    });
+
+    this.test('CLI - system, result and notices', () => {
+      const events = normalizeStream(stream(
+        { type: 'system', subtype: 'init', model: 'claude', tools: ['Read', 'Bash'] },
+        { type: 'system', message: 'Compacting' },
+        { type: 'system', subtype: 'retry', attempt: 1, max_attempts: 4, delay_ms: 500, category: 'rate-limit', message: 'Rate limited' },
+        { type: 'task_progress', subagent: 'explorer' },
+        { type: 'result', subtype: 'success', is_error: false, total_cost_usd: 0.25, duration_ms: 900, num_turns: 3, usage: { input_tokens: 10, output_tokens: 4, cache_read_input_tokens: 2 } }
+      ));
+      assert.deepStrictEqual(events, [
+        { type: 'init', model: 'claude', tools: ['Read', 'Bash'] },
+        { type: 'notice', source: 'system', message: 'Compacting' },
+        { type: 'retry', attempt: 1, maxAttempts: 4, delayMs: 500, category: 'rate-limit', message: 'Rate limited' },
+        { type: 'notice', source: 'subagent', message: 'explorer' },
+        {
+          type: 'result',
+          isError: false,
+          subtype: 'success',
+          costUsd: 0.25,
+          durationMs: 900,
+          numTurns: 3,
+          usage: { inputTokens: 10, outputTokens: 4, cacheReadInputTokens: 2, cacheCreationInputTokens: 0 },
+        },
+      ]);
+    });
+  }
+
+  testPartialMessages() {
+    const partial = (event) => ({ type: 'stream_event', event });
+
+    this.test('CLI partial messages - streamed blocks are not repeated', () => {
+      const events = normalizeStream(stream(
+        partial({ type: 'message_start', message: { id: 'msg_1', model: 'claude' } }),
+        partial({ type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } }),
+        partial({ type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Plan' } }),
+        partial({ type: 'content_block_stop', index: 0 }),
+        { type: 'assistant', message: { id: 'msg_1', model: 'claude', content: [{ type: 'thinking', thinking: 'Plan' }] } },
+        partial({ type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } }),
+        partial({ type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hello world' } }),
+        partial({ type: 'content_block_stop', index: 1 }),
+        { type: 'assistant', message: { id: 'msg_1', model: 'claude', content: [{ type: 'text', text: 'Hello world' }, { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'ls' } }] } },
+        partial({ type: 'message_stop' })
+      ));
+      assert.deepStrictEqual(events, [
+        { type: 'message_start', id: 'msg_1', model: 'claude' },
+        { type: 'thinking_delta', text: 'Plan' },
+        { type: 'thinking_end' },
+        { type: 'text_delta', text: 'Hello world' },
+        { type: 'text_end' },
+        { type: 'tool_call', id: 't1', name: 'Bash', input: { command: 'ls' } },
+        { type: 'message_stop' },
+      ]);
+    });
+
+    this.test('CLI partial messages - blocks that were not streamed are kept', () => {
+      const events = normalizeStream(stream(
+        partial({ type: 'message_start', message: { id: 'msg_1' } }),
+        partial({ type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }),
+        partial({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'First' } }),
+        partial({ type: 'content_block_stop', index: 0 }),
+        { type: 'assistant', message: { id: 'msg_1', content: [{ type: 'text', text: 'First' }, { type: 'text', text: 'Second' }] } },
+        { type: 'assistant', message: { id: 'msg_2', content: [{ type: 'text', text: 'First' }] } }
+      ));
+      assert.deepStrictEqual(events.filter(event => event.type.startsWith('text')), [
+        { type: 'text_delta', text: 'First' },
+        { type: 'text_end' },
+        { type: 'text', text: 'Second' },
+        { type: 'text', text: 'First' },
+      ]);
+    });
+  }
+
+  testAnthropicSse() {
+    this.test('SSE - streamed text, thinking and tool input', () => {
+      const events = normalizeStream(stream(
+        { type: 'message_start', message: { id: 'm1', model: 'claude', usage: { output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Hmm' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'abc' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 't1', name: 'Read', input: {} } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"file_path":' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"a.js"}' } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', usage: { output_tokens: 30 } },
+        { type: 'message_stop' }
+      ));
+      assert.deepStrictEqual(events, [
+        { type: 'message_start', id: 'm1', model: 'claude' },
+        { type: 'usage', messageId: 'm1', outputTokens: 1 },
+        { type: 'thinking_delta', text: 'Hmm' },
+        { type: 'thinking_end' },
+        { type: 'tool_call_start', id: 't1', name: 'Read' },
+        { type: 'tool_call_delta', id: 't1', json: '{"file_path":' },
+        { type: 'tool_call_delta', id: 't1', json: '"a.js"}' },
+        { type: 'tool_call_end', id: 't1', name: 'Read', input: { file_path: 'a.js' } },
+        { type: 'usage', outputTokens: 30, final: true },
+        { type: 'message_stop' },
+      ]);
+    });
+
+    this.test('SSE - deltas without a start, wrapped stream events and errors', () => {
+      const events = normalizeStream(stream(
+        'event: content_block_delta',
+        `data: ${JSON.stringify({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hi' } })}`,
+        ':',
+        { type: 'stream_event', parent_tool_use_id: 'task1', event: { type: 'content_block_stop' } },
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+      ));
+      assert.deepStrictEqual(events, [
+        { type: 'text_delta', text: 'Hi' },
+        { type: 'text_end', parentId: 'task1' },
+        { type: 'error', message: 'Overloaded', errorType: 'overloaded_error' },
+      ]);
+    });
+  }
+
+  testChunkDialects() {
+    this.test('LiteLLM SSE - chunks, [DONE] and error events', () => {
+      const chunk = (delta) => `data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', choices: [{ index: 0, delta }] })}`;
+      const events = normalizeStream([
+        chunk({ content: 'Hel' }), '', chunk({ content: 'lo' }), '', 'data: [DONE]', '',
+        ': ping', 'event: error', 'data: {"message": "Connection to Ollama lost",', 'data: "code": 503}', '',
+      ].join('\n'));
+      assert.deepStrictEqual(events, [
+        { type: 'message_start', id: 'c1' },
+        { type: 'text_delta', text: 'Hel' },
+        { type: 'text_delta', text: 'lo' },
+        { type: 'text_end' },
+        { type: 'message_stop' },
+        { type: 'error', message: 'Connection to Ollama lost' },
+      ]);
+    });
+
+    this.test('OpenAI chunks - text, tool call arguments and usage', () => {
+      const chunk = (choice, extra = {}) => ({ id: 'c1', object: 'chat.completion.chunk', model: 'ollama/qwen3', choices: [{ index: 0, ...choice }], ...extra });
+      const events = normalizeStream(stream(
+        chunk({ delta: { role: 'assistant', reasoning_content: 'Think' } }),
+        chunk({ delta: { content: 'Running it' } }),
+        chunk({ delta: { tool_calls: [{ index: 0, id: 'x1', function: { name: 'Bash', arguments: '{"command"' } }] } }),
+        chunk({ delta: { tool_calls: [{ index: 0, function: { arguments: ':"ls"}' } }] }, finish_reason: 'tool_calls' }),
+        { id: 'c1', object: 'chat.completion.chunk', choices: [], usage: { prompt_tokens: 50, completion_tokens: 9 } }
+      ));
+      assert.deepStrictEqual(types(events), [
+        'message_start', 'thinking_delta', 'thinking_end', 'text_delta', 'text_end',
+        'tool_call_start', 'tool_call_delta', 'tool_call_delta', 'tool_call_end', 'message_stop', 'usage',
+      ]);
+      assert.deepStrictEqual(events[0], { type: 'message_start', id: 'c1', model: 'ollama/qwen3' });
+      assert.deepStrictEqual(events[8], { type: 'tool_call_end', id: 'x1', name: 'Bash', input: { command: 'ls' } });
+      assert.deepStrictEqual(events[10], { type: 'usage', messageId: 'c1', inputTokens: 50, outputTokens: 9, final: true });
+    });
+
+    this.test('Ollama chat lines - text, tool calls and eval counts', () => {
+      const events = normalizeStream(stream(
+        { model: 'qwen3', message: { role: 'assistant', content: 'Let me look' }, done: false },
+        { model: 'qwen3', message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'Glob', arguments: { pattern: '*.js' } } }] }, done: false },
+        { model: 'qwen3', message: { role: 'assistant', content: '' }, done: true, prompt_eval_count: 80, eval_count: 20 },
+        { error: "model 'qwen3' not found" }
+      ));
+      assert.deepStrictEqual(events, [
+        { type: 'message_start', model: 'qwen3' },
+        { type: 'text_delta', text: 'Let me look' },
+        { type: 'text_end' },
+        { type: 'tool_call', id: 'call_1', name: 'Glob', input: { pattern: '*.js' } },
+        { type: 'usage', inputTokens: 80, outputTokens: 20, final: true },
+        { type: 'message_stop' },
+        { type: 'error', message: "model 'qwen3' not found" },
+      ]);
+    });
+  }
+
+  testStreamHandling() {
+    this.test('pushLine() - lines that are not JSON are raw', () => {
+      assert.deepStrictEqual(createEventNormalizer().pushLine('litellm.APIConnectionError: refused'), [{ type: 'raw', text: 'litellm.APIConnectionError: refused' }]);
+    });
+
+    this.test('end() - closes what a cut-off stream left open', () => {
+      const normalizer = createEventNormalizer();
+      normalizer.push({ type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 't1', name: 'Write' } });
+      normalizer.push({ type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"file_pa' } });
+      assert.deepStrictEqual(normalizer.end(), [{ type: 'tool_call_end', id: 't1', name: 'Write', input: {} }]);
+      assert.deepStrictEqual(normalizer.end(), []);
+    });
+
+    this.test('parsePartialJson() - complete values only, containers closed', () => {
+      assert.deepStrictEqual(parsePartialJson('{"file_path": "a.js", "content": "par'), { file_path: 'a.js' });
+      assert.deepStrictEqual(parsePartialJson('{"a": [1, {"b": "c\\"d"}, tr'), { a: [1, { b: 'c"d' }] });
+      assert.deepStrictEqual(parsePartialJson('{"edits": [{"old_string": "x", "new_'), { edits: [{ old_string: 'x' }] });
+      assert.deepStrictEqual(parsePartialJson('{"n": 12, '), { n: 12 });
+      assert.strictEqual(parsePartialJson(''), null);
+      assert.strictEqual(parsePartialJson('{"a": 1}}'), null);
+    });
+
+    this.test('parseToolInput() - falls back to what parsed, never throws', () => {
+      assert.deepStrictEqual(parseToolInput('{"command": "ls"}'), { command: 'ls' });
+      assert.deepStrictEqual(parseToolInput('{"command": "ls", "timeout": 12'), { command: 'ls', timeout: 12 });
+      assert.deepStrictEqual(parseToolInput('not json'), {});
+      assert.deepStrictEqual(parseToolInput('"text"'), {});
+    });
+
+    this.test('normalizeUsage() - one set of names for every dialect', () => {
+      assert.deepStrictEqual(normalizeUsage({ prompt_eval_count: 3 }), { inputTokens: 3, outputTokens: null, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 });
+      assert.strictEqual(normalizeUsage(undefined), undefined);
+    });
+
+    this.test('EVENT_TYPES - every event produced is documented', () => {
+      const produced = new Set(types(normalizeStream(stream(
+        { type: 'system', subtype: 'timeout', reason: 'idle', message: 'No events' },
+        { type: 'assistant', message: { content: [{ type: 'redacted_thinking' }] } },
+        'not json'
+      ))));
+      produced.forEach(type => assert(EVENT_TYPES.includes(type), type));
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new StreamEventsTests('Stream Events'));
+}
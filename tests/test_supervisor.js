@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Supervisor
+ *
+ * Covers the idle and iteration timeouts, process tree cleanup and tool
+ * tracking in lib/supervisor.js, with short-lived node child processes
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+const { PassThrough, Readable } = require('stream');
+
+const { supervise, createToolTracker, describeTimeout, parseArgs } = require(path.join(__dirname, '../lib/supervisor.js'));
+const { EXIT_CODES } = require(path.join(__dirname, '../lib/exit-codes.js'));
+
+const TOOL_USE = JSON.stringify({ type: 'assistant', message: { content: [{ type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm test' } }] } });
+
+// Collects what the supervisor passes through
+function capture() {
+  const stream = new PassThrough();
+  stream.text = '';
+  stream.on('data', (chunk) => {
+    stream.text += chunk.toString();
+  });
+  return stream;
+}
+
+// Run a node script under the supervisor
+async function run(script, options = {}) {
+  const stdout = capture();
+  const stderr = capture();
+  const supervised = supervise({
+    command: process.execPath,
+    args: ['-e', script],
+    stdin: null,
+    stdout,
+    stderr,
+    idleMs: null,
+    iterationMs: null,
+    graceMs: 200,
+    ...options,
+  });
+  const result = await supervised.done;
+  return { ...result, pid: supervised.child.pid, stdout: stdout.text, stderr: stderr.text };
+}
+
+// Killed processes nobody reaps linger as zombies, which still take signals
+const isAlive = (pid) => {
+  try {
+    return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  } catch {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+const timeoutEvent = (stdout) => JSON.parse(stdout.trim().split('\n').pop());
+
+// Test Suite
+class SupervisorTests extends TestSuite {
+  async runTests() {
+    await this.testPassThrough();
+    await this.testTimeouts();
+    await this.testHelpers();
+  }
+
+  async testPassThrough() {
+    await this.test('supervise() - output, input and exit code pass through', async () => {
+      const result = await run('process.stdin.pipe(process.stdout); process.stdin.on("end", () => { console.error("warn"); process.exitCode = 3; });', {
+        stdin: Readable.from(['{"type":"result"}\n'])
+      });
+      assert.deepStrictEqual([result.exitCode, result.stdout, result.stderr, result.timeout], [3, '{"type":"result"}\n', 'warn\n', null]);
+    });
+
+    await this.test('supervise() - a command that cannot start exits 127', async () => {
+      const stderr = capture();
+      const { exitCode } = await supervise({ command: 'ralph-no-such-command', stdin: null, stdout: capture(), stderr, idleMs: null, iterationMs: null }).done;
+      assert.strictEqual(exitCode, 127);
+      assert(stderr.text.includes('Could not start ralph-no-such-command'), stderr.text);
+    });
+  }
+
+  async testTimeouts() {
+    await this.test('supervise() - idle timeout names the running tool and kills the child', async () => {
+      const result = await run(`console.log(${JSON.stringify(TOOL_USE)}); setInterval(() => {}, 1000);`, { idleMs: 300 });
+      assert.strictEqual(result.exitCode, EXIT_CODES.TIMED_OUT);
+      const event = timeoutEvent(result.stdout);
+      assert.deepStrictEqual([event.type, event.subtype, event.reason, event.active_tool.name], ['system', 'timeout', 'idle', 'Bash']);
+      assert(/^No events for 0s while Bash \(npm test\) was running for 0:00; stopped claude$/.test(event.message), event.message);
+      assert(!isAlive(result.pid));
+    });
+
+    await this.test('supervise() - output keeps an iteration alive until its hard limit', async () => {
+      const result = await run('setInterval(() => console.log("tick"), 50);', { idleMs: 1000, iterationMs: 2000 });
+      assert.strictEqual(result.exitCode, EXIT_CODES.TIMED_OUT);
+      assert.strictEqual(result.timeout.reason, 'iteration');
+      assert(result.stdout.split('\n').filter(line => line === 'tick').length > 4, result.stdout);
+      assert.strictEqual(timeoutEvent(result.stdout).message, 'Iteration ran past 0m while waiting on the model; stopped claude');
+    });
+
+    await this.test('supervise() - the whole process tree goes, SIGTERM or not', async () => {
+      const script = [
+        'const { spawn } = require("child_process");',
+        `const grandchild = spawn(process.execPath, ["-e", "process.on('SIGTERM', () => {}); setInterval(() => {}, 1000)"], { stdio: "ignore" });`,
+        'console.log(`pid ${grandchild.pid}`);',
+        'process.on("SIGTERM", () => {});',
+        'setInterval(() => {}, 1000);',
+      ].join('\n');
+      const result = await run(script, { idleMs: 300 });
+      const grandchild = parseInt(result.stdout.match(/^pid (\d+)$/m)[1], 10);
+      // SIGKILL reaches the group after the grace period
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert(!isAlive(result.pid));
+      assert(!isAlive(grandchild), `grandchild ${grandchild} still running`);
+    });
+  }
+
+  async testHelpers() {
+    await this.test('createToolTracker() - the latest call still running', () => {
+      let now = 0;
+      const tracker = createToolTracker({ now: () => now });
+      tracker.push(TOOL_USE);
+      now = 2000;
+      tracker.push('data: ' + JSON.stringify({ type: 'content_block_start', content_block: { type: 'tool_use', id: 't2', name: 'Read', input: {} } }));
+      now = 5000;
+      assert.deepStrictEqual(tracker.active(), { name: 'Read', detail: '', runningMs: 3000 });
+      tracker.push(JSON.stringify({ type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 't2' }] } }));
+      assert.deepStrictEqual(tracker.active(), { name: 'Bash', detail: 'npm test', runningMs: 5000 });
+      tracker.push('not json');
+      tracker.push(JSON.stringify({ type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 't1' }] } }));
+      assert.strictEqual(tracker.active(), null);
+    });
+
+    await this.test('describeTimeout() - idle and iteration', () => {
+      assert.strictEqual(
+        describeTimeout('idle', 600000, { name: 'Bash', detail: 'cargo build', runningMs: 612000 }),
+        'No events for 600s while Bash (cargo build) was running for 10:12; stopped claude'
+      );
+      assert.strictEqual(describeTimeout('iteration', 7200000, null), 'Iteration ran past 120m while waiting on the model; stopped claude');
+    });
+
+    await this.test('parseArgs() - timeouts, then the command after --', () => {
+      assert.deepStrictEqual(parseArgs(['--idle-timeout', '30', '--iteration-timeout=0', '--', 'claude', '-p', '--verbose']), {
+        idleSeconds: 30, iterationMinutes: 0, command: 'claude', commandArgs: ['-p', '--verbose']
+      });
+      assert.throws(() => parseArgs(['--idle-timeout', 'soon', '--', 'claude']), /--idle-timeout expects a non-negative number/);
+      assert.throws(() => parseArgs(['--idle-timeout', '5']), /No command given/);
+      assert.throws(() => parseArgs(['--verbose', '--', 'claude']), /Unknown argument: --verbose/);
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new SupervisorTests('Supervisor'));
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Terminal Support
+ *
+ * Covers colour detection, themes and wrapping in lib/terminal.js
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const {
+  colors,
+  noColors,
+  THEMES,
+  shouldUseColor,
+  paletteFor,
+  stripAnsi,
+  wrapFrom,
+  wrapText,
+} = require(path.join(__dirname, '../lib/terminal.js'));
+
+// Test Suite
+class TerminalTests extends TestSuite {
+  runTests() {
+    this.testColorDetection();
+    this.testThemes();
+    this.testWrapping();
+  }
+
+  testColorDetection() {
+    this.test('shouldUseColor() - follows the TTY by default', () => {
+      assert.strictEqual(shouldUseColor({ env: {}, isTTY: true }), true);
+      assert.strictEqual(shouldUseColor({ env: {}, isTTY: false }), false);
+    });
+
+    this.test('shouldUseColor() - NO_COLOR disables, empty value ignored', () => {
+      assert.strictEqual(shouldUseColor({ env: { NO_COLOR: '1' }, isTTY: true }), false);
+      assert.strictEqual(shouldUseColor({ env: { NO_COLOR: '' }, isTTY: true }), true);
+    });
+
+    this.test('shouldUseColor() - FORCE_COLOR wins both ways', () => {
+      assert.strictEqual(shouldUseColor({ env: { FORCE_COLOR: '1', NO_COLOR: '1' }, isTTY: false }), true);
+      assert.strictEqual(shouldUseColor({ env: { FORCE_COLOR: '' }, isTTY: false }), true);
+      assert.strictEqual(shouldUseColor({ env: { FORCE_COLOR: '0' }, isTTY: true }), false);
+      assert.strictEqual(shouldUseColor({ env: { FORCE_COLOR: 'false' }, isTTY: true }), false);
+    });
+  }
+
+  testThemes() {
+    this.test('themes - same keys as the default palette', () => {
+      Object.entries(THEMES).forEach(([name, theme]) => {
+        assert.deepStrictEqual(Object.keys(theme).sort(), Object.keys(colors).sort(), name);
+      });
+    });
+
+    this.test('paletteFor() - colour off means no escapes', () => {
+      assert.strictEqual(paletteFor('high-contrast', false), noColors);
+      assert.strictEqual(paletteFor('monochrome').red, '');
+      assert.strictEqual(paletteFor('monochrome').bold, colors.bold);
+    });
+
+    this.test('paletteFor() - unknown theme', () => {
+      assert.throws(() => paletteFor('neon'), /Unknown theme "neon"/);
+      assert.throws(() => paletteFor('toString'), /Unknown theme/);
+    });
+  }
+
+  testWrapping() {
+    const sentence = 'the quick brown fox jumps over the lazy dog again and again';
+
+    this.test('wrapText() - breaks between words', () => {
+      assert.strictEqual(
+        wrapText(sentence, 25),
+        'the quick brown fox jumps\nover the lazy dog again\nand again'
+      );
+    });
+
+    this.test('wrapText() - keeps the line indentation', () => {
+      const lines = wrapText(`    ${sentence}`, 30).split('\n');
+      assert(lines.length > 1);
+      lines.forEach(line => assert(line.startsWith('    ') && line.length <= 30, line));
+    });
+
+    this.test('wrapText() - explicit hanging indent', () => {
+      assert.strictEqual(wrapText('[done] aaaa bbbb cccc dddd eeee ffff', 28, '       '),
+        '[done] aaaa bbbb cccc dddd\n       eeee ffff');
+    });
+
+    this.test('wrapText() - escapes take no width', () => {
+      const red = `${colors.red}${sentence}${colors.reset}`;
+      assert.strictEqual(stripAnsi(wrapText(red, 25)), wrapText(sentence, 25));
+    });
+
+    this.test('wrapText() - long words are split, no width leaves text alone', () => {
+      assert.strictEqual(wrapText('x'.repeat(50), 20), `${'x'.repeat(20)}\n${'x'.repeat(20)}\n${'x'.repeat(10)}`);
+      assert.strictEqual(wrapText(sentence, null), sentence);
+    });
+
+    this.test('wrapFrom() - continues from a column', () => {
+      const first = wrapFrom('the quick brown ', 25);
+      assert.deepStrictEqual(first, { text: 'the quick brown ', column: 16 });
+      const second = wrapFrom('fox jumps over', 25, { column: first.column });
+      assert.deepStrictEqual(second, { text: 'fox jumps\nover', column: 4 });
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new TerminalTests('Terminal'));
+}
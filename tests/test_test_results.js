@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Test Results
+ *
+ * Covers reading test-runner output in lib/test-results.js
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const { isTestCommand, parseTestOutput, describeTestRun, MAX_FAILURES } = require(path.join(__dirname, '../lib/test-results.js'));
+
+// Runner output as it appears in Bash tool results
+const SAMPLES = {
+  tap: 'TAP version 13\nok 1 - adds\nnot ok 2 - subtracts\n  ---\n  ...\nok 3 - later # SKIP\n1..3\n# tests 3\n# pass 1\n# fail 1\n# skipped 1\n# todo 0',
+  nodeSpec: '✔ adds (0.5ms)\n✖ subtracts (1.2ms)\nℹ tests 2\nℹ pass 1\nℹ fail 1\nℹ skipped 0\n\n✖ failing tests:\n\n✖ subtracts (1.2ms)\n',
+  jest: ' FAIL  src/math.test.js\n  ● Math › subtracts\n\n    expect(received).toBe(expected)\n\nTests:       1 failed, 1 skipped, 10 passed, 12 total\nTime:        1.2 s',
+  vitest: ' FAIL  src/math.test.ts > Math > subtracts 3ms\n\n Test Files  1 failed | 2 passed (3)\n      Tests  1 failed | 10 passed | 2 skipped (13)\n',
+  mocha: '  Math\n    ✔ adds\n    1) subtracts\n\n  1 passing (5ms)\n  1 pending\n  1 failing\n\n  1) Math\n       subtracts:\n     AssertionError: expected 1 to equal 2\n',
+  pytest: 'tests/test_math.py .F.s\n=== FAILURES ===\nFAILED tests/test_math.py::test_subtracts - AssertionError\n========== 1 failed, 2 passed, 1 skipped in 0.12s ==========',
+  goVerbose: '=== RUN   TestAdds\n--- PASS: TestAdds (0.00s)\n=== RUN   TestSubtracts\n--- FAIL: TestSubtracts (0.00s)\n    --- FAIL: TestSubtracts/negative (0.00s)\nFAIL\nFAIL\texample.com/math\t0.01s',
+  goPackages: 'ok  \texample.com/a\t0.01s\nFAIL\texample.com/b\t0.02s\nok  \texample.com/c\t(cached)',
+  cargo: 'running 3 tests\ntest math::adds ... ok\ntest math::subtracts ... FAILED\n\ntest result: FAILED. 2 passed; 1 failed; 1 ignored; 0 measured; 0 filtered out\n\ntest result: ok. 4 passed; 0 failed; 0 ignored; 0 measured; 0 filtered out',
+  repoJs: 'Running Redaction Tests...\n\n✓ one\n✗ two\n  Error: boom\n\nTest Results: 1 passed, 1 failed\n\nTest Results: 5 passed, 0 failed',
+  repoShell: '\x1b[0;32m✓\x1b[0m resolves prompt\n\x1b[0;31m✗\x1b[0m detects errors\nTests run: 3\nTests passed: \x1b[0;32m2\x1b[0m\nTests failed: \x1b[0;31m1\x1b[0m',
+};
+
+// Test Suite
+class ResultsTests extends TestSuite {
+  runTests() {
+    this.testRunners();
+    this.testEdgeCases();
+  }
+
+  testRunners() {
+    const expect = (sample, runner, counts, failures) => {
+      const result = parseTestOutput(SAMPLES[sample]);
+      assert.deepStrictEqual(result, { runner, ...counts, failures }, sample);
+    };
+
+    this.test('node:test - TAP and spec reporter', () => {
+      expect('tap', 'node:test', { passed: 1, failed: 1, skipped: 1 }, ['subtracts']);
+      expect('nodeSpec', 'node:test', { passed: 1, failed: 1, skipped: 0 }, ['subtracts']);
+    });
+
+    this.test('jest and vitest - summary lines and failing names', () => {
+      expect('jest', 'jest', { passed: 10, failed: 1, skipped: 1 }, ['Math › subtracts']);
+      expect('vitest', 'vitest', { passed: 10, failed: 1, skipped: 2 }, ['src/math.test.ts > Math > subtracts']);
+    });
+
+    this.test('mocha - suite and title joined', () => {
+      expect('mocha', 'mocha', { passed: 1, failed: 1, skipped: 1 }, ['Math subtracts']);
+    });
+
+    this.test('pytest - short summary', () => {
+      expect('pytest', 'pytest', { passed: 2, failed: 1, skipped: 1 }, ['tests/test_math.py::test_subtracts']);
+    });
+
+    this.test('go test - top-level tests with -v, packages without', () => {
+      expect('goVerbose', 'go test', { passed: 1, failed: 1, skipped: 0 }, ['TestSubtracts']);
+      expect('goPackages', 'go test', { passed: 2, failed: 1, skipped: 0 }, ['example.com/b']);
+    });
+
+    this.test('cargo test - summed across test binaries', () => {
+      expect('cargo', 'cargo test', { passed: 6, failed: 1, skipped: 1 }, ['math::subtracts']);
+    });
+
+    this.test('repo test scripts - JS suites and coloured shell output', () => {
+      expect('repoJs', 'test script', { passed: 6, failed: 1, skipped: 0 }, ['two']);
+      expect('repoShell', 'test script', { passed: 2, failed: 1, skipped: 0 }, ['detects errors']);
+    });
+  }
+
+  testEdgeCases() {
+    this.test('parseTestOutput() - other output is not a test run', () => {
+      ['', 'total 3\ndrwxr-xr-x 2 ralph ralph', '  console.log("Test Results: 1 passed, 0 failed")', null]
+        .forEach(output => assert.strictEqual(parseTestOutput(output), null, String(output)));
+    });
+
+    this.test('parseTestOutput() - failing names deduplicated and capped', () => {
+      const lines = Array.from({ length: 30 }, (_, i) => `not ok ${i + 1} - case ${i % 25}`);
+      const result = parseTestOutput(`${lines.join('\n')}\n# pass 0\n# fail 30`);
+      assert.strictEqual(result.failures.length, MAX_FAILURES);
+      assert.strictEqual(new Set(result.failures).size, MAX_FAILURES);
+    });
+
+    this.test('isTestCommand() - test runners, package scripts and test scripts', () => {
+      [
+        'npm test', 'npm t -- --watch=false', 'CI=1 yarn test', 'pnpm run test:unit', 'pnpm exec vitest run', 'bun test',
+        'npx jest src/math.test.js', 'timeout 300 npx vitest', 'mocha', 'node --test', 'python -m pytest -q', 'pytest',
+        'go test ./...', 'cargo test --all', 'bash scripts/test.sh', './scripts/test_all.sh', 'node tests/test_sse.js',
+        'cd app && npm test 2>&1 | tail -20',
+      ].forEach(command => assert(isTestCommand(command), command));
+    });
+
+    this.test('isTestCommand() - other commands', () => {
+      [
+        'cat test-output.log', 'cat scripts/test.sh', 'npm install', 'npm run build', 'go build ./...', 'node lib/output-formatter.js',
+        'grep -r "Test Results" tests', 'git commit -m "npm test passes"', null,
+      ].forEach(command => assert(!isTestCommand(command), String(command)));
+    });
+
+    this.test('describeTestRun() - skipped only when present', () => {
+      assert.strictEqual(describeTestRun({ passed: 4, failed: 0, skipped: 0 }), '4 passed, 0 failed');
+      assert.strictEqual(describeTestRun({ passed: 4, failed: 1, skipped: 2 }), '4 passed, 1 failed, 2 skipped');
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new ResultsTests('Test Results'));
+}
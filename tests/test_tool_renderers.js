@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Test Suite for Ralph Tool Renderers
+ *
+ * Covers the per-tool renderers and the registry in lib/tool-renderers.js
+ * Uses Node.js built-in assert module for zero external dependencies
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const { TestSuite, runSuite } = require(path.join(__dirname, 'helpers.js'));
+
+const {
+  createRendererRegistry,
+  diffLines,
+  diffHunks,
+  countLines,
+} = require(path.join(__dirname, '../lib/tool-renderers.js'));
+const { truncate, colors } = require(path.join(__dirname, '../lib/output-formatter.js'));
+
+function stripAnsiColors(str) {
+  return str.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+}
+
+const ctx = {
+  colors,
+  truncate,
+  maxContentLength: 500,
+  maxToolInputLength: 200,
+  maxDiffLines: 40,
+};
+
+// Render a tool call with the default registry and return plain lines
+function render(name, input, overrides = {}) {
+  const registry = createRendererRegistry();
+  return registry.render(name, input, { ...ctx, ...overrides }).map(stripAnsiColors);
+}
+
+// Test Suite
+class ToolRenderersTests extends TestSuite {
+  runTests() {
+    this.testDiffLines();
+    this.testEditRenderers();
+    this.testWriteRenderer();
+    this.testBashRenderer();
+    this.testReadRenderer();
+    this.testSearchRenderers();
+    this.testTodoWriteRenderer();
+    this.testTaskRenderer();
+    this.testRegistry();
+  }
+
+  testDiffLines() {
+    this.test('diffLines() - keeps common lines as context', () => {
+      const ops = diffLines('a\nb\nc', 'a\nx\nc');
+      assert.deepStrictEqual(ops.map(o => `${o.op}${o.line}`), [' a', '-b', '+x', ' c']);
+    });
+
+    this.test('diffHunks() - changes with three lines of context each side', () => {
+      const oldText = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+      const newText = oldText.replace('line 2\n', 'line two\n').replace('line 15\n', '');
+      const hunks = diffHunks(diffLines(oldText, newText));
+      assert.deepStrictEqual(hunks.map(({ oldStart, newStart, ops }) => [oldStart, newStart, ops.map(({ op }) => op).join('')]), [
+        [1, 1, '  -+   '],
+        [13, 13, '   -   '],
+      ]);
+    });
+
+    this.test('diffLines() - pure insertion', () => {
+      const ops = diffLines('', 'new line');
+      assert.deepStrictEqual(ops, [{ op: '+', line: 'new line' }]);
+    });
+
+    this.test('countLines() - ignores trailing newline', () => {
+      assert.strictEqual(countLines('a\nb\n'), 2);
+      assert.strictEqual(countLines(''), 0);
+    });
+  }
+
+  testEditRenderers() {
+    this.test('Edit - path and diff', () => {
+      const lines = render('Edit', { file_path: 'a.js', old_string: 'x = 1', new_string: 'x = 2' });
+      assert.deepStrictEqual(lines, ['a.js', '-x = 1', '+x = 2']);
+    });
+
+    this.test('Edit - replace_all noted', () => {
+      const lines = render('Edit', { file_path: 'a.js', old_string: 'a', new_string: 'b', replace_all: true });
+      assert.strictEqual(lines[0], 'a.js (replace all)');
+    });
+
+    this.test('Edit - long diff is capped', () => {
+      const oldText = Array.from({ length: 30 }, (_, i) => `old ${i}`).join('\n');
+      const newText = Array.from({ length: 30 }, (_, i) => `new ${i}`).join('\n');
+      const lines = render('Edit', { file_path: 'a.js', old_string: oldText, new_string: newText }, { maxDiffLines: 10 });
+      assert.strictEqual(lines.length, 12);
+      assert.strictEqual(lines[11], '... (50 more lines)');
+    });
+
+    this.test('Edit - a change past the limit is shown in its hunk', () => {
+      const oldText = Array.from({ length: 60 }, (_, i) => `line ${i}`).join('\n');
+      const newText = oldText.replace('line 50', 'line fifty');
+      const lines = render('Edit', { file_path: 'a.js', old_string: oldText, new_string: newText });
+      assert.deepStrictEqual(lines, [
+        'a.js',
+        '@@ -48,7 +48,7 @@',
+        ' line 47', ' line 48', ' line 49',
+        '-line 50', '+line fifty',
+        ' line 51', ' line 52', ' line 53',
+      ]);
+    });
+
+    this.test('Edit - the limit counts hunk lines', () => {
+      const oldText = Array.from({ length: 60 }, (_, i) => `line ${i}`).join('\n');
+      const newText = oldText.replace('line 10', 'line ten').replace('line 50', 'line fifty');
+      const lines = render('Edit', { file_path: 'a.js', old_string: oldText, new_string: newText }, { maxDiffLines: 10 });
+      assert.deepStrictEqual(lines.slice(-4), ['@@ -48,7 +48,7 @@', ' line 47', ' line 48', '... (6 more lines)']);
+    });
+
+    this.test('MultiEdit - one diff per edit', () => {
+      const lines = render('MultiEdit', {
+        file_path: 'b.js',
+        edits: [
+          { old_string: 'a', new_string: 'b' },
+          { old_string: 'c', new_string: 'd' }
+        ]
+      });
+      assert.deepStrictEqual(lines, ['b.js (2 edits)', '-a', '+b', '-c', '+d']);
+    });
+  }
+
+  testWriteRenderer() {
+    this.test('Write - path and line count', () => {
+      assert.deepStrictEqual(render('Write', { file_path: 'README.md', content: '# Title\n\nBody\n' }), ['README.md (3 lines)']);
+      assert.deepStrictEqual(render('Write', { file_path: 'x', content: 'one' }), ['x (1 line)']);
+    });
+  }
+
+  testBashRenderer() {
+    this.test('Bash - command with description', () => {
+      const lines = render('Bash', { command: 'npm test', description: 'Run tests' });
+      assert.deepStrictEqual(lines, ['# Run tests', '$ npm test']);
+    });
+
+    this.test('Bash - multi-line command indented', () => {
+      const lines = render('Bash', { command: 'cd src &&\nmake' });
+      assert.deepStrictEqual(lines, ['$ cd src &&', '  make']);
+    });
+  }
+
+  testReadRenderer() {
+    this.test('Read - path only', () => {
+      assert.deepStrictEqual(render('Read', { file_path: '/w/a.js' }), ['/w/a.js']);
+    });
+
+    this.test('Read - line range', () => {
+      assert.deepStrictEqual(render('Read', { file_path: 'a.js', offset: 10, limit: 20 }), ['a.js (lines 10-29)']);
+      assert.deepStrictEqual(render('Read', { file_path: 'a.js', offset: 50 }), ['a.js (from line 50)']);
+    });
+  }
+
+  testSearchRenderers() {
+    this.test('Grep - pattern and scope', () => {
+      assert.deepStrictEqual(render('Grep', { pattern: 'TODO', path: 'src', glob: '*.js' }), ['TODO in src, glob *.js']);
+    });
+
+    this.test('Glob - defaults to current directory', () => {
+      assert.deepStrictEqual(render('Glob', { pattern: '**/*.md' }), ['**/*.md in .']);
+    });
+  }
+
+  testTodoWriteRenderer() {
+    this.test('TodoWrite - checklist glyphs', () => {
+      const lines = render('TodoWrite', {
+        todos: [
+          { content: 'Write tests', status: 'completed' },
+          { content: 'Fix bug', status: 'in_progress' },
+          { content: 'Update docs', status: 'pending' }
+        ]
+      });
+      assert.deepStrictEqual(lines, ['✓ Write tests', '→ Fix bug', '○ Update docs']);
+    });
+  }
+
+  testTaskRenderer() {
+    this.test('Task - description, type and first prompt line', () => {
+      const lines = render('Task', { description: 'Review tests', subagent_type: 'general-purpose', prompt: 'Read the suite\nthen report' });
+      assert.deepStrictEqual(lines, ['Review tests (general-purpose)', 'Read the suite']);
+    });
+  }
+
+  testRegistry() {
+    this.test('registry - unknown tool falls back to JSON', () => {
+      assert.deepStrictEqual(render('WebFetch', { url: 'https://x' }), ['input: {"url":"https://x"}']);
+    });
+
+    this.test('registry - generic fallback truncates', () => {
+      const lines = render('WebFetch', { data: 'x'.repeat(300) }, { maxToolInputLength: 10 });
+      assert(lines[0].endsWith('... (truncated)'));
+    });
+
+    this.test('registry - throwing renderer falls back', () => {
+      const registry = createRendererRegistry({ Boom: () => { throw new Error('bad'); } });
+      const lines = registry.render('Boom', { a: 1 }, ctx).map(stripAnsiColors);
+      assert.deepStrictEqual(lines, ['input: {"a":1}']);
+    });
+
+    this.test('registry - register() validates renderer', () => {
+      const registry = createRendererRegistry();
+      assert.throws(() => registry.register('X', 'not a function'), TypeError);
+      registry.register('X', () => ['ok']);
+      assert(registry.has('X'));
+      assert(!registry.has('constructor'));
+    });
+  }
+}
+
+if (require.main === module) {
+  runSuite(new ToolRenderersTests('Tool Renderer'));
+}